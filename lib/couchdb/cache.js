@@ -0,0 +1,129 @@
+/**
+ * In-memory cache of responses by uri, kept together with their ETags so
+ * that a request can ask couch whether its copy is still current with
+ * If-None-Match. Once 'maxEntries' responses are cached the least recently
+ * used one is dropped.
+ *
+ * Attach one to a database with 'db.useCache()'.
+ *
+ * @param {Number} maxEntries Number of responses to keep, defaults to 100
+ */
+function Cache(maxEntries) {
+    maxEntries = maxEntries === undefined ? 100 : maxEntries;
+    if (typeof maxEntries !== "number" || maxEntries < 1 || Math.floor(maxEntries) !== maxEntries) {
+        throw new Error("Argument error: 'maxEntries' must be a positive integer");
+    }
+
+    this.maxEntries = maxEntries;
+    this.size = 0;
+    this._entries = {};
+    // Doubly linked list of entries, most recently used first.
+    this._head = null;
+    this._tail = null;
+}
+
+Cache.prototype = {
+    /**
+     * The cached response for a uri, which becomes the most recently used.
+     * @param {String} key
+     * @returns An object with the 'etag' and the 'value', or null
+     * @type Object
+     */
+    get: function(key) {
+        var entry = this._entries.hasOwnProperty(key) ? this._entries[key] : null;
+
+        if (entry === null) {
+            return null;
+        }
+        this._unlink(entry);
+        this._push(entry);
+        return { etag: entry.etag, value: entry.value };
+    },
+    /**
+     * Cache a response. Responses without an ETag can not be revalidated and
+     * are not kept.
+     * @param {String} key
+     * @param {String} etag
+     * @param value Kept as it is, so callers copy values they may change
+     */
+    set: function(key, etag, value) {
+        var entry;
+
+        if (typeof etag !== "string" || etag === "") {
+            this.remove(key);
+            return;
+        }
+
+        entry = { key: key, etag: etag, value: value, prev: null, next: null };
+        this.remove(key);
+        this._entries[key] = entry;
+        this._push(entry);
+        this.size += 1;
+
+        if (this.size > this.maxEntries) {
+            this.remove(this._tail.key);
+        }
+    },
+    /**
+     * @param {String} key
+     */
+    remove: function(key) {
+        var entry = this._entries.hasOwnProperty(key) ? this._entries[key] : null;
+
+        if (entry === null) {
+            return;
+        }
+        this._unlink(entry);
+        delete this._entries[key];
+        this.size -= 1;
+    },
+    /**
+     * Remove the responses for a uri, with any query string, and for
+     * everything below it, such as the attachments of a document.
+     * @param {String} uri
+     */
+    invalidate: function(uri) {
+        var self = this;
+
+        Object.keys(this._entries).forEach(function(key) {
+            var rest = key.slice(uri.length);
+
+            if (key.indexOf(uri) === 0 && (rest === "" || rest.charAt(0) === "?" || rest.charAt(0) === "/")) {
+                self.remove(key);
+            }
+        });
+    },
+    clear: function() {
+        this._entries = {};
+        this._head = null;
+        this._tail = null;
+        this.size = 0;
+    },
+    _push: function(entry) {
+        entry.prev = null;
+        entry.next = this._head;
+        if (this._head !== null) {
+            this._head.prev = entry;
+        }
+        this._head = entry;
+        if (this._tail === null) {
+            this._tail = entry;
+        }
+    },
+    _unlink: function(entry) {
+        if (entry.prev !== null) {
+            entry.prev.next = entry.next;
+        } else {
+            this._head = entry.next;
+        }
+        if (entry.next !== null) {
+            entry.next.prev = entry.prev;
+        } else {
+            this._tail = entry.prev;
+        }
+        entry.prev = null;
+        entry.next = null;
+    }
+};
+
+exports.Cache = Cache;
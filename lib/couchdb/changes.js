@@ -0,0 +1,81 @@
+var util = require("util");
+var promise = require("./promise");
+
+/**
+ * Follows the changes feed of a database, remembering the last sequence seen
+ * so that each call to 'poll' only returns new changes.
+ *
+ * @param {Database} db Database whose changes to follow
+ * @param {Object} options Options passed on to Database.changes. 'since'
+ * defaults to "now" and 'feed' defaults to "longpoll".
+ * @param {Function} handler Called with each change row, with the follower as
+ * 'this'. Call 'this.stop()' from the handler to end a running follower.
+ */
+function ChangesFollower(db, options, handler) {
+    if (typeof handler !== "function") {
+        throw new Error("Argument error: 'handler' must be a function");
+    }
+
+    this.db = db;
+    this.handler = handler;
+    this.options = util.deepCopy(options || {});
+    this.seq = this.options.since === undefined ? "now" : this.options.since;
+    this.running = false;
+
+    delete this.options.since;
+    if (this.options.feed === undefined) {
+        this.options.feed = "longpoll";
+    }
+}
+
+ChangesFollower.prototype = {
+    /**
+     * Make one request to the changes feed and call the handler for each
+     * change it returns.
+     *
+     * @returns Number of changes handled, or a promise for it
+     * @type Number
+     */
+    poll: function() {
+        var self = this;
+        var options = util.deepCopy(this.options);
+
+        options.since = this.seq;
+
+        return promise.when(this.db.changes(options), function(result) {
+            (result.results || []).forEach(function(change) {
+                self.handler.call(self, change);
+                self.seq = change.seq;
+            });
+
+            if (result.last_seq !== undefined) {
+                self.seq = result.last_seq;
+            }
+
+            return (result.results || []).length;
+        });
+    },
+    /**
+     * Poll the changes feed until 'stop' is called. In asynchronous mode this
+     * returns a promise which is resolved once the follower has stopped.
+     */
+    start: function() {
+        var self = this;
+
+        this.running = true;
+        return promise.loop(function() {
+            if (!self.running) {
+                return false;
+            }
+            return self.poll();
+        });
+    },
+    /**
+     * Stop a follower started with 'start' once the current request is done.
+     */
+    stop: function() {
+        this.running = false;
+    }
+};
+
+exports.ChangesFollower = ChangesFollower;
@@ -1,4 +1,18 @@
 var util = require("util");
+var base64 = require("base64");
+var md5 = require("md5");
+var promise = require("./promise");
+var request = require("./request").request;
+var errors = require("./errors");
+var ChangesFollower = require("./changes").ChangesFollower;
+var ViewQuery = require("./view_query").ViewQuery;
+var multipart = require("./multipart");
+var Cache = require("./cache").Cache;
+var model = require("./model").model;
+var jsonSchema = require("./schema");
+
+var when = promise.when;
+var attempt = promise.attempt;
 
 // Reserved fields by CouchDB. See http://wiki.apache.org/couchdb/Reserved_words
 // and http://wiki.apache.org/couchdb/HTTP_Document_API
@@ -9,11 +23,126 @@ var COUCH_RESERVED_ATTRS = [
     "_deleted",
     "_revisions",
     "_rev_infos",
+    "_revs_info",
     "_conflicts",
     "_deleted_conflicts"
 ];
 
 var Database = {
+    // Methods which take functions as arguments, with the position of the
+    // last one, see promise.withCallbacks.
+    _functionArguments: { follow: 2, modify: 2, resolveConflicts: 2, model: 1 },
+    /**
+     * Make a request with the http client of this database, synchronously or
+     * asynchronously depending on the mode of the server.
+     */
+    _request: function(verb, uri, options) {
+        return request(this.httpClient, verb, uri, options, this.async);
+    },
+    /**
+     * Cache of documents, view results and attachments, see useCache.
+     * @type Cache
+     */
+    cache: null,
+    /**
+     * Keep the documents, view results and attachments this database reads
+     * in a cache. Cached responses are still checked with couch by their
+     * ETag, but couch only sends them again when they have changed.
+     *
+     * @param {Number|Cache} maxEntries Size of the cache, or a Cache to use
+     * @returns The cache
+     * @type Cache
+     */
+    useCache: function(maxEntries) {
+        this.cache = maxEntries instanceof Cache ? maxEntries : new Cache(maxEntries);
+        return this.cache;
+    },
+    // Make a request which is answered from the cache when couch replies
+    // that the cached response is still current. Responses are cached with
+    // the headers callers read; json is copied so callers may change it.
+    _cachedRequest: function(verb, uri, options, key) {
+        var cache = this.cache;
+        var cached = cache ? cache.get(key) : null;
+        var copy = (options.dataType || "json") === "json";
+        var opts = util.update({}, options);
+
+        opts.response = true;
+        opts.headers = (options.headers || []).slice();
+        if (cached !== null) {
+            opts.headers.push({ label: "If-None-Match", value: cached.etag });
+        }
+
+        return when(this._request(verb, uri, opts), function(response) {
+            var entry;
+
+            if (response.status === 304 && cached !== null) {
+                entry = cached.value;
+                return {
+                    data: copy ? util.deepCopy(entry.data) : entry.data,
+                    status: entry.status,
+                    getResponseHeader: function(header) {
+                        return entry.headers[header.toLowerCase()] || null;
+                    }
+                };
+            }
+
+            if (cache !== null && response.status === 200) {
+                entry = { data: response.data, status: response.status, headers: {} };
+                CACHED_HEADERS.forEach(function(header) {
+                    entry.headers[header.toLowerCase()] = response.getResponseHeader(header);
+                });
+                cache.set(key, entry.headers.etag, copy ? util.deepCopy(entry) : entry);
+            }
+            return response;
+        });
+    },
+    /**
+     * Schemas to check documents against, by their 'type', see registerSchema.
+     * @type Object
+     */
+    schemas: null,
+    /**
+     * Check documents of a type against a JSON Schema before they are saved,
+     * see couchdb/schema. To have couch enforce the same rules, deploy a
+     * design document with DesignDocument.validateSchemas.
+     *
+     * @param {String} type Value of the 'type' field of the documents
+     * @param {Object} schema JSON Schema of the documents
+     */
+    registerSchema: function(type, schema) {
+        this.schemas = util.update({}, this.schemas || {});
+        this.schemas[type] = schema;
+    },
+    // The doc_validation error for a document which does not match the
+    // schema of its type, or null.
+    _schemaError: function(doc) {
+        var found, error;
+
+        if (this.schemas === null || !this.schemas.hasOwnProperty(doc.type)) {
+            return null;
+        }
+        found = jsonSchema.validate(this.schemas[doc.type], doc);
+        if (found.length === 0) {
+            return null;
+        }
+
+        error = new errors.BadRequest(400, { error: "doc_validation", reason: jsonSchema.describe(found) });
+        error.errors = found;
+        return error;
+    },
+    _checkSchema: function(doc) {
+        var error = this._schemaError(doc);
+
+        if (error !== null) {
+            throw error;
+        }
+    },
+    // Drop what the cache holds for a document and its attachments.
+    _invalidate: function(id) {
+        if (this.cache !== null && id !== undefined) {
+            this.cache.invalidate(this.uri + encodeDocId(id));
+        }
+    },
     /**
      * List of all documents in the database.
      * 
@@ -22,26 +151,12 @@ var Database = {
      * @type Array
      */
     allDocs: function(options){
-        var results = [];
-
         options = options || {};
         options.include_docs = typeof options.include_docs === "undefined" ? false : options.include_docs;
 
-        this.httpClient.get(this.uri + encodeURIComponent("_all_docs") + encodeOptions(options), {
-            async: false,
-            success: function(data, textStatus){
-                results = data.rows || [];
-            },
-            error: function(client, textStatus, errorThrown) {
-                var msg = client.status + ": " + textStatus;
-                if (errorThrown !== undefined) {
-                    msg += " " + errorThrown;
-                }
-                throw new Error(msg);
-            }
+        return when(this._request("GET", this.uri + encodeURIComponent("_all_docs") + encodeOptions(options)), function(data) {
+            return (data && data.rows) || [];
         });
-
-        return results;
     },
     /**
      * Save a document
@@ -49,70 +164,118 @@ var Database = {
      * @param {Object} doc Document to save
      * @param {Boolean} shouldThrow Should raise an exception when fails?
      * @returns true for success, false if shouldThrow is false and the save fails
+     * @throws CouchError, e.g. Conflict, if shouldThrow is true and the save fails
+     * @throws BadRequest if the document does not match the schema registered
+     * for its type, see registerSchema
      * @type Boolean
      */
     save: function(doc, shouldThrow){
-        var saved = false;
+        var self = this;
         if (shouldThrow === undefined){
             shouldThrow = false;
         }
 
-        if (doc._id === undefined) {
-            doc._id = this.uuid();
-        }
+        checkReservedAttributes(doc);
+        this._checkSchema(doc);
 
-        // CouchDB reserves attributes starting with an underscore, but throws
-        // horrible error messages that don't tell you about what is going
-        // wrong, so let's do that here.
-        for (attr in doc) {
-            if (doc.hasOwnProperty(attr)) {
-                if (attr.charAt(0) === "_" &&
-                    COUCH_RESERVED_ATTRS.indexOf(attr) === -1) {
-                    throw new Error([
-                        attr,
-                        "is not a legal attribute name. Attributes starting",
-                        "with an underscore are reserved by couch."
-                    ].join(" "));
-                }
-            }
-        }
+        return when(doc._id === undefined ? this.uuid() : doc._id, function(id) {
+            doc._id = id;
 
-        this.httpClient.put(this.uri + encodeURIComponent(doc._id), {
-            data: JSON.stringify(doc),
-            async: false,
-            success: function(data, statusText){
+            return attempt(function() {
+                return self._request("PUT", self.uri + encodeDocId(doc._id), {
+                    data: docJson(doc)
+                });
+            }, function(data) {
                 doc._id = data.id;
                 doc._rev = data.rev;
-                saved = true;
-            },
-            error: function(xhr, textStatus, errorThrown) {
+                stubAttachments(doc);
+                self._invalidate(doc._id);
+                return true;
+            }, function(err) {
                 if (shouldThrow) {
-                    throw new Error(xhr.status + ": " + textStatus);
+                    throw err;
                 }
-                saved = false;
-            }
+                return false;
+            });
+        });
+    },
+    /**
+     * Save a document along with the data of its attachments in a single
+     * multipart/related request, creating only one new revision.
+     *
+     * @param {Object} doc Document to save
+     * @param {Object} files Attachments to save, by name, with their
+     * 'content_type' and binary 'data'
+     * @returns true for success
+     * @throws CouchError, e.g. Conflict, if the save fails
+     * @type Boolean
+     */
+    saveWithAttachments: function(doc, files) {
+        var self = this;
+        var names = Object.keys(files || {});
+
+        checkReservedAttributes(doc);
+        this._checkSchema(doc);
+
+        return when(doc._id === undefined ? this.uuid() : doc._id, function(id) {
+            var attachments = doc._attachments || {};
+            var message;
+
+            doc._id = id;
+            names.forEach(function(name) {
+                attachments[name] = {
+                    content_type: files[name].content_type,
+                    length: multipart.binaryString(files[name].data).length,
+                    follows: true
+                };
+            });
+            doc._attachments = attachments;
+
+            // Couch takes the parts in the order the attachments appear in
+            // the json, where a replaced attachment keeps its old place.
+            message = multipart.build(docJson(doc), Object.keys(attachments).filter(function(name) {
+                return names.indexOf(name) !== -1;
+            }).map(function(name) {
+                return files[name];
+            }), "couchdb-" + new Date().getTime() + "-" + Math.floor(Math.random() * 1e9));
+
+            return when(self._request("PUT", self.uri + encodeDocId(doc._id), {
+                headers: [ { label: "Content-Type", value: message.contentType } ],
+                data: message.body,
+                binary: true
+            }), function(data) {
+                doc._id = data.id;
+                doc._rev = data.rev;
+                self._invalidate(doc._id);
+                names.forEach(function(name) {
+                    delete attachments[name].follows;
+                    attachments[name].stub = true;
+                });
+                return true;
+            });
         });
-        
-        return saved;
     },
     /**
      * Deletes a document from the database
      *
      * @param {Object} doc Document to remove
+     * @returns true for success, false if the document was changed or already deleted
+     * @type Boolean
      */
     removeDoc: function(doc) {
-        var removed = false;
+        var self = this;
 
-        this.httpClient.del(this.uri + encodeURIComponent(doc._id) + "?rev=" + doc._rev, {
-            success: function(data, statusText) {
-                removed = true;
-            },
-            error: function(xhr) {
-                removed = false;
+        return attempt(function() {
+            return self._request("DELETE", self.uri + encodeDocId(doc._id) + "?rev=" + doc._rev);
+        }, function() {
+            self._invalidate(doc._id);
+            return true;
+        }, function(err) {
+            if (err instanceof errors.Conflict || err instanceof errors.NotFound) {
+                return false;
             }
+            throw err;
         });
-
-        return removed;
     },
     /**
      * Bulk save documents with the CouchDB bulk save API
@@ -121,114 +284,505 @@ var Database = {
      * http://wiki.apache.org/couchdb/HTTP_Bulk_Document_API
      *
      * @param {Object} docs Documents to save
-     * @param {Boolean} shouldThrow Should throw an error if fail?
-     * @returns True if save succeded, false if shouldThrow is false and bulkSave failed.
+     * @param {Boolean|Object} options Should throw an error if fail? Or the
+     * options of bulkDocs together with 'shouldThrow'.
+     * @returns True if every document was saved, false if shouldThrow is
+     * false and any of them failed. See bulkDocs for the outcome of each.
+     * @throws CouchError of the first document which failed, if shouldThrow
      * @type Boolean
      */
-    bulkSave: function(docs, shouldThrow){
+    bulkSave: function(docs, options){
         var self = this;
-        var saved = false;
-        var err;
+        var shouldThrow = options;
 
-        docs.forEach(function(doc){
-            if (doc._id == undefined) {
-                doc._id = self.uuid();
+        if (typeof options === "object" && options !== null) {
+            shouldThrow = options.shouldThrow;
+        } else {
+            options = {};
+        }
+
+        return attempt(function() {
+            return self.bulkDocs(docs, options);
+        }, function(results) {
+            var failed = results.filter(function(result) {
+                return !result.ok;
+            });
+
+            if (failed.length > 0 && shouldThrow) {
+                throw failed[0].error;
             }
+            return failed.length === 0;
+        }, function(err) {
+            if (shouldThrow) {
+                throw err;
+            }
+            return false;
+        });
+    },
+    /**
+     * Save documents with _bulk_docs and report the outcome of each.
+     *
+     * @param {Array} docs Documents to save, each gets its new '_rev' when saved
+     * @param {Object} options Any of
+     *     'newEdits': false to store the documents with the revisions they
+     *                 have, as replication does,
+     *     'chunkSize': number of documents per request, defaults to all of them,
+     *     'progress': called with the number of documents done and the total
+     *                 number of documents after each request.
+     * Documents which do not match the schema registered for their type are
+     * reported as failed without sending them, and count as done from the
+     * start.
+     * @returns One object per document, in the same order, with 'id', 'ok',
+     * and 'rev' or the CouchError as 'error'
+     * @type Array
+     */
+    bulkDocs: function(docs, options) {
+        var self = this;
+        var newEdits, chunkSize, results, offset;
+
+        options = options || {};
+        newEdits = options.newEdits !== false;
+        chunkSize = options.chunkSize === undefined ? Math.max(docs.length, 1) : options.chunkSize;
+        if (typeof chunkSize !== "number" || chunkSize < 1 || Math.floor(chunkSize) !== chunkSize) {
+            throw new Error("Argument error: 'chunkSize' must be a positive integer");
+        }
+
+        // Documents which do not match their schema are not sent at all.
+        var invalid = docs.map(function(doc) {
+            return self._schemaError(doc);
+        });
+        var valid = docs.filter(function(doc, i) {
+            return invalid[i] === null;
         });
 
-        this.httpClient.post(this.uri + "_bulk_docs", {
-            async: false,
-            data: JSON.stringify({ "docs": docs }),
-            success: function(data, textStatus) {
-                var doc;
-                var i;
-                saved = true;
-                for (i=0;i<data.length;++i) {
-                    doc = docs.filter(function(x) {
-                        return x._id === data[i].id;
+        var ids = promise.all(valid.map(function(doc){
+            if (doc._id == undefined) {
+                return when(self.uuid(), function(id) {
+                    doc._id = id;
+                });
+            }
+        }));
+
+        results = [];
+        offset = 0;
+        return when(ids, function() {
+            return when(promise.loop(function() {
+                var chunk = valid.slice(offset, offset + chunkSize);
+                var body = { docs: chunk };
+
+                if (chunk.length === 0) {
+                    return false;
+                }
+                if (!newEdits) {
+                    body.new_edits = false;
+                }
+
+                return when(self._request("POST", self.uri + "_bulk_docs", {
+                    data: JSON.stringify(body)
+                }), function(rows) {
+                    results = results.concat(bulkResults(chunk, rows || []));
+                    chunk.forEach(function(doc) {
+                        self._invalidate(doc._id);
                     });
-                    if (doc && doc.length === 1) {
-                        doc = doc[0];
-                        doc._rev = data[i].rev;
+                    offset += chunk.length;
+                    if (options.progress) {
+                        options.progress(docs.length - valid.length + offset, docs.length);
+                    }
+                    return offset < valid.length;
+                });
+            }), function() {
+                var next = 0;
+
+                return invalid.map(function(error, i) {
+                    if (error === null) {
+                        return results[next++];
                     }
+                    return { id: docs[i]._id, ok: false, error: error };
+                });
+            });
+        });
+    },
+    /**
+     * Delete documents with _bulk_docs.
+     * @param {Array} docs Documents to delete, with '_id' and '_rev'. Each
+     * gets its tombstone '_rev' and '_deleted' when deleted.
+     * @param {Object} options Same as for bulkDocs
+     * @returns The outcome of each, as for bulkDocs
+     * @type Array
+     */
+    bulkRemove: function(docs, options) {
+        var tombstones = docs.map(function(doc) {
+            return { _id: doc._id, _rev: doc._rev, _deleted: true };
+        });
+
+        return when(this.bulkDocs(tombstones, options), function(results) {
+            results.forEach(function(result, i) {
+                if (result.ok) {
+                    docs[i]._rev = result.rev;
+                    docs[i]._deleted = true;
                 }
-            },
-            error: function(xhr, textStatus, errorThrown){
-                err = { status: xhr.status,
-                    textStatus: textStatus,
-                    errorThrown: errorThrown
-                };
-            }
+            });
+            return results;
+        });
+    },
+    /**
+     * Load many documents, or specific revisions of them, in one _bulk_get
+     * request.
+     * @param {Array} requests Ids, or objects with 'id' and 'rev'
+     * @param {Object} options Query options such as 'revs' or 'latest'
+     * @returns One object per request, in the same order, with 'id', the
+     * found 'doc' and all found 'docs', or the CouchError as 'error'
+     * @type Array
+     */
+    bulkGet: function(requests, options) {
+        var docs = requests.map(function(request) {
+            return typeof request === "string" ? { id: request } : request;
         });
 
-        if (err !== undefined) {
-            saved = false;
-            if (shouldThrow) {
-                throw new Error(err.status + ": " + err.textStatus || "" + err.errorThrown || "");
-            }
-        }
+        return when(this._request("POST", this.uri + "_bulk_get" + encodeOptions(options), {
+            data: JSON.stringify({ docs: docs })
+        }), function(data) {
+            return data.results.map(function(result) {
+                var found = result.docs.filter(function(entry) {
+                    return entry.ok !== undefined;
+                }).map(function(entry) {
+                    return entry.ok;
+                });
+                var failed = result.docs.filter(function(entry) {
+                    return entry.error !== undefined;
+                });
 
-        return saved;
+                return {
+                    id: result.id,
+                    doc: found.length > 0 ? found[0] : null,
+                    docs: found,
+                    error: found.length === 0 && failed.length > 0 ? errors.fromRow(failed[0].error) : null
+                };
+            });
+        });
     },
-    _findSingleDoc: function(id) {
-        var doc = null,
-            err = null;
+    _findSingleDoc: function(id, options) {
+        var self = this;
+        var uri = this.uri + encodeDocId(id) + encodeOptions(options);
 
-        this.httpClient.get(this.uri + encodeURIComponent(id), {
-            async: false,
-            success: function(data, textStatus) {
-                doc = data;
-            },
-            error: function(xhr, textStatus, errorThrown) {
-                err = { status: xhr.status, textStatus: textStatus, error: errorThrown };
+        return attempt(function() {
+            if (!(options && options.attachments)) {
+                return when(self._cachedRequest("GET", uri, {}, uri), function(response) {
+                    return response.data;
+                });
             }
-        });
+            return when(self._request("GET", uri, {
+                headers: [ { label: "Accept", value: "multipart/related,application/json" } ],
+                dataType: "raw",
+                response: true
+            }), function(response) {
+                var boundary = multipart.boundaryOf(response.getResponseHeader("Content-Type"));
 
-        if (err != null)
-        {
-            if (err.status == 404)
+                if (boundary === null) {
+                    return JSON.parse(multipart.binaryString(response.data));
+                }
+                return multipart.parseDocument(response.data, boundary);
+            });
+        }, function(doc) {
+            return doc;
+        }, function(err) {
+            if (err instanceof errors.NotFound)
                 return null;
             throw err;
-        }
-
-        return doc;
+        });
     },
     _findMultipleDocs: function(ids) {
-        var docs = [],
-            err;
-
-        this.httpClient.post(this.uri + encodeURIComponent("_all_docs") + encodeOptions({ include_docs: true }), {
-            async: false,
-            data: JSON.stringify({ "keys" : ids }),
-            success: function(data, textStatus) {
-                docs = data;
-            },
-            error: function(xhr, textStatus, errorThrown) {
-                err = { status: xhr.status, textStatus: textStatus, error: errorThrown };
-            }
-        });
+        var self = this;
 
-        if (err)  {
-            if (err.status == 404)
+        return attempt(function() {
+            return self._request("POST", self.uri + encodeURIComponent("_all_docs") + encodeOptions({ include_docs: true }), {
+                data: JSON.stringify({ "keys" : ids })
+            });
+        }, function(docs) {
+            return docs;
+        }, function(err) {
+            if (err instanceof errors.NotFound)
                 return null;
             throw err;
-        }
-
-        return docs;
+        });
     },
     /**
      * Find a document or documents by unique identifier(s)
      * @param {Array|String} idOrArrayOfIds A single id or an array of them
+     * @param {Object} options Query options when finding a single document,
+     * e.g. { conflicts: true }. With { attachments: true } the attachments
+     * are downloaded in one multipart response and their binary data is
+     * set as 'body' on each attachment stub.
      * @returns a single document or an array of documents 
      */
-    find: function(idOrArrayOfIds) {
+    find: function(idOrArrayOfIds, options) {
         if (util.isArrayLike(idOrArrayOfIds)) {
             return this._findMultipleDocs(idOrArrayOfIds);
         }
         else {
-            return this._findSingleDoc(idOrArrayOfIds);
+            return this._findSingleDoc(idOrArrayOfIds, options);
         }
     },
+    /**
+     * Apply a change to a document and save it, reading the document again and
+     * retrying whenever the save conflicts with another update.
+     *
+     * @param {String} id Id of the document
+     * @param {Function} fn Called with the current document, or null if it does
+     * not exist yet. Returns the document to save, or changes the one it was
+     * given and returns nothing. Must be safe to call more than once.
+     * @param {Object} options 'retries', the number of times to retry on a
+     * conflict, defaults to 10.
+     * @returns The saved document
+     * @throws Conflict if the document still conflicts after all retries
+     * @type Object
+     */
+    modify: function(id, fn, options) {
+        var self = this;
+        var retries = options && options.retries !== undefined ? options.retries : 10;
+        var saved = null;
+
+        return when(promise.loop(function() {
+            return when(self.find(id), function(doc) {
+                var changed = fn(doc);
+
+                if (changed === undefined || changed === null) {
+                    changed = doc;
+                }
+                if (changed === null) {
+                    throw new Error("'fn' must return a document when '" + id + "' does not exist");
+                }
+                changed._id = id;
+                if (changed !== doc && doc !== null) {
+                    changed._rev = doc._rev;
+                }
+
+                return attempt(function() {
+                    return self.save(changed, true);
+                }, function() {
+                    saved = changed;
+                    return false;
+                }, function(err) {
+                    if (err instanceof errors.Conflict && retries > 0) {
+                        retries -= 1;
+                        return true;
+                    }
+                    throw err;
+                });
+            });
+        }), function() {
+            return saved;
+        });
+    },
+    /**
+     * Find a document together with its '_conflicts', the revisions which lost
+     * against the current one.
+     * @param {String} id Id of the document
+     * @returns The document, with a '_conflicts' property if it has conflicts,
+     * or null if there is no such document
+     * @type Object
+     */
+    findWithConflicts: function(id) {
+        return this.find(id, { conflicts: true });
+    },
+    /**
+     * Load all conflicting revisions of a document.
+     * @param {String} id Id of the document
+     * @returns An object with the 'winner', the current revision of the
+     * document, and the losing revisions in 'conflicts'. null if there is no
+     * such document.
+     * @type Object
+     */
+    conflicts: function(id) {
+        var self = this;
+
+        return when(this.findWithConflicts(id), function(winner) {
+            if (winner === null) {
+                return null;
+            }
+            if (!winner._conflicts || winner._conflicts.length === 0) {
+                return { winner: winner, conflicts: [] };
+            }
+
+            return when(self.openRevisions(id, winner._conflicts), function(conflicts) {
+                return { winner: winner, conflicts: conflicts };
+            });
+        });
+    },
+    /**
+     * Load a set of revisions of a document with open_revs.
+     * @param {String} id Id of the document
+     * @param {Array|String} revs Revisions to load, or "all" for every leaf revision
+     * @returns The revisions which were found
+     * @type Array
+     */
+    openRevisions: function(id, revs) {
+        var uri = this.uri + encodeDocId(id) + encodeOptions({ open_revs: revs });
+
+        return when(this._request("GET", uri, {
+            headers: [{ label: "Accept", value: "application/json" }]
+        }), function(results) {
+            return results.filter(function(result) {
+                return result.ok !== undefined;
+            }).map(function(result) {
+                return result.ok;
+            });
+        });
+    },
+    /**
+     * Resolve the conflicts of a document. The merged document is saved as a
+     * new revision of the current one and all losing revisions are deleted, in
+     * one _bulk_docs request.
+     * @param {String} id Id of the document
+     * @param {Function} mergeFn Called with the current revision and an array
+     * of the conflicting revisions. Returns the merged document.
+     * @returns The merged document, or null if there is no such document
+     * @throws Conflict if any of the revisions changed in the meantime
+     * @type Object
+     */
+    resolveConflicts: function(id, mergeFn) {
+        var self = this;
+
+        return when(this.conflicts(id), function(result) {
+            var merged;
+            var docs;
+
+            if (result === null) {
+                return null;
+            }
+
+            merged = mergeFn(result.winner, result.conflicts) || result.winner;
+            merged._id = id;
+            merged._rev = result.winner._rev;
+            delete merged._conflicts;
+
+            docs = [merged].concat(result.conflicts.map(function(loser) {
+                return { _id: id, _rev: loser._rev, _deleted: true };
+            }));
+
+            return when(self._request("POST", self.uri + "_bulk_docs", {
+                data: JSON.stringify({ docs: docs })
+            }), function(rows) {
+                var failed = rows.filter(function(row) {
+                    return row.error !== undefined;
+                });
+
+                if (failed.length > 0) {
+                    throw errors.fromRow(failed[0]);
+                }
+
+                merged._rev = rows[0].rev;
+                return merged;
+            });
+        });
+    },
+    /**
+     * List the revision history of a document, newest first.
+     * @param {String} id Id of the document
+     * @returns Objects with 'rev' and 'status' ("available", "missing" or
+     * "deleted") properties, or null if there is no such document
+     * @type Array
+     */
+    revisions: function(id) {
+        return when(this.find(id, { revs_info: true }), function(doc) {
+            return doc === null ? null : doc._revs_info;
+        });
+    },
+    /**
+     * Find a specific revision of a document.
+     * @param {String} id Id of the document
+     * @param {String} rev The revision
+     * @returns The document as it was at that revision, or null if the
+     * revision is unknown or its body has been compacted away
+     * @type Object
+     */
+    findRevision: function(id, rev) {
+        return this.find(id, { rev: rev });
+    },
+    /**
+     * Compare two revisions of a document.
+     * @param {String} id Id of the document
+     * @param {String} fromRev The older revision
+     * @param {String} toRev The newer revision, defaults to the current one
+     * @returns An object with 'added', 'removed' and 'changed' properties. Each
+     * maps field names to the values in the revision where they exist, with
+     * 'changed' holding objects with 'from' and 'to' values.
+     * @type Object
+     */
+    diffRevisions: function(id, fromRev, toRev) {
+        var revs = promise.all([
+            this.findRevision(id, fromRev),
+            toRev === undefined ? this.find(id) : this.findRevision(id, toRev)
+        ]);
+
+        return when(revs, function(docs) {
+            var from = docs[0], to = docs[1];
+            var diff = { added: {}, removed: {}, changed: {} };
+
+            if (from === null || to === null) {
+                throw new errors.NotFound(404, {
+                    error: "not_found",
+                    reason: "Revision " + (from === null ? fromRev : toRev) + " of " + id + " is not available"
+                });
+            }
+
+            Object.keys(to).forEach(function(key) {
+                if (key === "_rev") {
+                    return;
+                }
+                if (!from.hasOwnProperty(key)) {
+                    diff.added[key] = to[key];
+                } else if (JSON.stringify(from[key]) !== JSON.stringify(to[key])) {
+                    diff.changed[key] = { from: from[key], to: to[key] };
+                }
+            });
+            Object.keys(from).forEach(function(key) {
+                if (key !== "_rev" && !to.hasOwnProperty(key)) {
+                    diff.removed[key] = from[key];
+                }
+            });
+
+            return diff;
+        });
+    },
+    /**
+     * Restore the body of an older revision of a document as a new revision.
+     * Attachments are kept as they are in the current revision.
+     * @param {String} id Id of the document
+     * @param {String} rev The revision to restore
+     * @returns The saved document
+     * @throws NotFound if the revision is not available any more
+     * @type Object
+     */
+    revert: function(id, rev) {
+        var self = this;
+
+        return when(this.findRevision(id, rev), function(old) {
+            if (old === null) {
+                throw new errors.NotFound(404, {
+                    error: "not_found",
+                    reason: "Revision " + rev + " of " + id + " is not available"
+                });
+            }
+
+            return self.modify(id, function(current) {
+                var restored = util.deepCopy(old);
+
+                delete restored._attachments;
+                delete restored._deleted;
+                if (current !== null) {
+                    restored._rev = current._rev;
+                    if (current._attachments) {
+                        restored._attachments = current._attachments;
+                    }
+                } else {
+                    delete restored._rev;
+                }
+
+                return restored;
+            });
+        });
+    },
     /**
      * Retrieve a CouchDB view
      * 
@@ -241,92 +795,392 @@ var Database = {
      * 'etag' contains the etag generated for the view by CouchDB
      */
     view: function(designDocName, viewName, options) {
-        var viewResult;
+        designDocName = designDocName.replace(/^_design\//g, "");
+
+        return this._queryView("_design/" + designDocName + "/_view/" + viewName, options);
+    },
+    // Query a view, or _all_docs, at 'path' below the database.
+    _queryView: function(path, options) {
         var keys;
-        var viewPath;
-        var verb = "get";
+        var headers = [];
+        var verb = "GET";
 
         options = options || {};
 
         if (options.keys) {
             keys = JSON.stringify({ keys: options.keys });
             delete options.keys;
-            verb = "post";
+            verb = "POST";
         }
 
-        designDocName = designDocName.replace(/^_design\//g, "");
-
-        var httpClientOptions = {
-            async: false,
-            data: keys,
-            success: function(data, textStatus) {
-                viewResult = data;
-                viewResult.totalRows = viewResult.total_rows;
-            },
-            complete: function(xhr, textStatus) {
-                var status = xhr.status;
-                var etag = xhr.getResponseHeader("Etag");
-                viewResult.status = status;
-                
-                if (typeof etag === "string") {
-                    viewResult.etag = etag;
-                }
-            },
-            error: function(xhr, textStatus, errorThrown) {
-                throw new Error(textStatus + ": " + (errorThrown || ""));
-            }
-        };
         if (typeof options.etag !== "undefined" && options.etag !== null) {
-            httpClientOptions.headers = [{ label: "If-None-Match", value: options.etag }];
+            headers.push({ label: "If-None-Match", value: options.etag });
             delete options.etag;
         }
 
-        viewPath = this.uri + "_design/" + designDocName + "/_view/" + viewName + encodeOptions(options);
+        var uri = this.uri + path + encodeOptions(options);
+        var requestOptions = { data: keys, headers: headers, response: true };
+
+        return when(headers.length > 0 ?
+                this._request(verb, uri, requestOptions) :
+                this._cachedRequest(verb, uri, requestOptions, verb + " " + uri + (keys ? " " + keys : "")),
+        function(response) {
+            var viewResult = response.data || {};
+            var etag = response.getResponseHeader("Etag");
 
-        this.httpClient[verb](viewPath, httpClientOptions);
+            viewResult.totalRows = viewResult.total_rows;
+            viewResult.status = response.status;
+            if (typeof etag === "string") {
+                viewResult.etag = etag;
+            }
 
-        return viewResult;
+            return viewResult;
+        });
     },
     /**
-     * Retrieve a CouchDB list
+     * Build a query for a view, see couchdb/view_query.
      *
-     * List Reference:
-     * http://wiki.apache.org/couchdb/Formatting_with_Show_and_List
+     * @param {String} designDocName Name of the design document
+     * @param {String} viewName Name of the view
+     * @returns A query, e.g. db.viewQuery("ddoc", "by_x").range(a, b).limit(50).run()
+     * @type ViewQuery
+     */
+    viewQuery: function(designDocName, viewName) {
+        return new ViewQuery(this, { type: "view", designDoc: designDocName, view: viewName });
+    },
+    /**
+     * Build a query for _all_docs, see couchdb/view_query.
+     * @type ViewQuery
+     */
+    allDocsQuery: function() {
+        return new ViewQuery(this, { type: "all_docs" });
+    },
+    /**
+     * Build a query for a list applied to a view, see couchdb/view_query.
      *
      * @param {String} designDocName Name of the design document
      * @param {String} listName Name of the list
      * @param {String} viewName Name of the view to pass to the list
-     * @param {Object} options
-     * @returns Output of the CouchDB List
-     * @type {Object}
+     * @type ViewQuery
      */
-    list: function(designDocName, listName, viewName, options){
-        var listResult;
-        var keys;
-        var verb = "get";
+    listQuery: function(designDocName, listName, viewName) {
+        return new ViewQuery(this, { type: "list", designDoc: designDocName, list: listName, view: viewName });
+    },
+    /**
+     * Walk through all documents in batches, see couchdb/paginator.
+     *
+     * @param {Number} batchSize Number of rows per batch
+     * @param {Object} options Options for _all_docs, e.g. { include_docs: true }
+     * @returns A paginator with 'next', 'hasNext' and 'forEach'
+     * @type Paginator
+     */
+    paginateAllDocs: function(batchSize, options) {
+        return withOptions(this.allDocsQuery(), options).paginate(batchSize);
+    },
+    /**
+     * Walk through all rows of a view in batches, see couchdb/paginator.
+     *
+     * @param {String} designDocName Name of the design document
+     * @param {String} viewName Name of the view
+     * @param {Number} batchSize Number of rows per batch
+     * @param {Object} options Options for the view, e.g. { reduce: false }
+     * @returns A paginator with 'next', 'hasNext' and 'forEach'
+     * @type Paginator
+     */
+    paginateView: function(designDocName, viewName, batchSize, options) {
+        return withOptions(this.viewQuery(designDocName, viewName), options).paginate(batchSize);
+    },
+    /**
+     * Deploy a design document, only saving it when its functions changed.
+     *
+     * With 'staged' the new version is first saved under a temporary id and
+     * each of its views is queried so that couch builds the indexes. The
+     * temporary document is then copied over the real one. Couch shares the
+     * indexes of design documents with the same views, so the real design
+     * document never answers from a cold index.
+     *
+     * @param {DesignDocument|Object} designDoc The design document to deploy
+     * @param {Object} options 'staged' to deploy through a temporary design
+     * document, 'stagingSuffix' for its id, defaults to "_staging".
+     * @returns An object with 'updated', whether anything was saved, and 'doc',
+     * the deployed design document with its current '_rev'.
+     * @type Object
+     */
+    deployDesign: function(designDoc, options) {
+        var self = this;
+        var doc = util.deepCopy(typeof designDoc.toDocument === "function" ? designDoc.toDocument() : designDoc);
 
         options = options || {};
-        if (options.keys) {
-            keys = JSON.stringify({ "keys" : options.keys });
-            verb = "post";
-            delete options.keys;
+        if (!/^_design\//.test(doc._id || "")) {
+            throw new Error("Argument error: design document ids start with '_design/'");
         }
 
-        var listUri = this.uri + "_design/" + designDocName + "/_list/" + listName + "/" + viewName + encodeOptions(options);
-
-        this.httpClient[verb](listUri, {
-            async: false,
-            data: keys,
-            dataType: "json",
-            success: function(data, textStatus) {
-                listResult = data;
-            },
-            error: function(xhr, textStatus, errorThrown){
-                throw new Error(textStatus + ": " + (errorThrown || ""));
+        return when(this.find(doc._id), function(existing) {
+            if (existing !== null && sameDesign(existing, doc)) {
+                return { updated: false, doc: existing };
             }
+            if (existing !== null) {
+                doc._rev = existing._rev;
+            } else {
+                delete doc._rev;
+            }
+
+            if (!options.staged) {
+                return when(self.save(doc, true), function() {
+                    return { updated: true, doc: doc };
+                });
+            }
+
+            return when(self._deployStaged(doc, options.stagingSuffix || "_staging"), function() {
+                return { updated: true, doc: doc };
+            });
+        });
+    },
+    _deployStaged: function(doc, suffix) {
+        var self = this;
+        var staging = util.deepCopy(doc);
+
+        staging._id = doc._id + suffix;
+        delete staging._rev;
+
+        return when(this.find(staging._id), function(old) {
+            if (old !== null) {
+                staging._rev = old._rev;
+            }
+
+            return when(self.save(staging, true), function() {
+                return when(self.warmViews(staging), function() {
+                    var destination = encodeDocId(doc._id) + (doc._rev ? "?rev=" + doc._rev : "");
+
+                    return when(self._request("COPY", self.uri + encodeDocId(staging._id), {
+                        headers: [{ label: "Destination", value: destination }]
+                    }), function(copied) {
+                        doc._rev = copied.rev;
+                        return self.removeDoc(staging);
+                    });
+                });
+            });
+        });
+    },
+    /**
+     * Query every view of a design document so that couch builds its indexes.
+     * @param {DesignDocument|Object} designDoc A saved design document
+     */
+    warmViews: function(designDoc) {
+        var self = this;
+        var doc = typeof designDoc.toDocument === "function" ? designDoc.toDocument() : designDoc;
+
+        return promise.all(Object.keys(doc.views || {}).map(function(name) {
+            return self.view(doc._id, name, { limit: 1 });
+        }));
+    },
+    /**
+     * Retrieve a CouchDB list
+     *
+     * List Reference:
+     * http://wiki.apache.org/couchdb/Formatting_with_Show_and_List
+     *
+     * @param {String} designDocName Name of the design document
+     * @param {String} listName Name of the list
+     * @param {String} viewName Name of the view to pass to the list
+     * @param {Object} options Query options. Set 'raw' to get the response as
+     * returned by 'show' instead.
+     * @returns Output of the CouchDB List: parsed if the list responds with
+     * json, otherwise the response body as a string.
+     * @type {Object}
+     */
+    list: function(designDocName, listName, viewName, options){
+        var keys;
+        var raw;
+        var verb = "GET";
+
+        options = options || {};
+        raw = options.raw;
+        delete options.raw;
+        if (options.keys) {
+            keys = JSON.stringify({ "keys" : options.keys });
+            verb = "POST";
+            delete options.keys;
+        }
+
+        designDocName = designDocName.replace(/^_design\//g, "");
+
+        var listUri = this.uri + "_design/" + designDocName + "/_list/" + listName + "/" + viewName + encodeOptions(options);
+
+        return when(this._request(verb, listUri, { data: keys, dataType: "text", response: true }), function(response) {
+            var result = handlerResponse(response);
+
+            if (raw) {
+                return result;
+            }
+            return result.json !== undefined ? result.json : result.body;
+        });
+    },
+    /**
+     * Call a show function
+     *
+     * @param {String} designDocName Name of the design document
+     * @param {String} showName Name of the show function
+     * @param {String} docId Id of the document to show, optional
+     * @param {Object} query Query parameters passed to the show function as req.query
+     * @returns An object with the raw 'body', 'status', 'contentType' and a
+     * 'getResponseHeader' function. 'json' holds the parsed body if the show
+     * function responded with json.
+     * @type Object
+     */
+    show: function(designDocName, showName, docId, query) {
+        var uri = this.uri + "_design/" + designDocName.replace(/^_design\//g, "") + "/_show/" + showName;
+
+        if (docId !== undefined && docId !== null) {
+            uri += "/" + encodeDocId(docId);
+        }
+
+        return when(this._request("GET", uri + encodeOptions(query), { dataType: "text", response: true }), handlerResponse);
+    },
+    /**
+     * Call an update handler. Without a document id the handler is called with
+     * POST and a null document, otherwise with PUT and the current document.
+     *
+     * @param {String} designDocName Name of the design document
+     * @param {String} handlerName Name of the update handler
+     * @param {String} docId Id of the document to update, optional
+     * @param {Object|String} body Request body, objects are sent as json
+     * @param {Object} query Query parameters passed to the handler as req.query
+     * @returns The same as 'show', with the revision the handler saved in
+     * 'newRev' and the id of the document in 'id'.
+     * @type Object
+     */
+    update: function(designDocName, handlerName, docId, body, query) {
+        var uri = this.uri + "_design/" + designDocName.replace(/^_design\//g, "") + "/_update/" + handlerName;
+        var verb = "POST";
+        var headers = [];
+
+        if (docId !== undefined && docId !== null) {
+            uri += "/" + encodeDocId(docId);
+            verb = "PUT";
+        }
+        if (body !== undefined && body !== null && typeof body !== "string") {
+            body = JSON.stringify(body);
+        } else {
+            // Keep the request helper from labelling plain text as json.
+            headers.push({ label: "Content-Type", value: "text/plain" });
+        }
+
+        return when(this._request(verb, uri + encodeOptions(query), {
+            data: body,
+            headers: headers,
+            dataType: "text",
+            response: true
+        }), function(response) {
+            var result = handlerResponse(response);
+
+            result.newRev = response.getResponseHeader("X-Couch-Update-NewRev");
+            result.id = response.getResponseHeader("X-Couch-Id");
+            return result;
+        });
+    },
+    /**
+     * Query the database with a Mango selector
+     *
+     * Query Reference:
+     * http://docs.couchdb.org/en/stable/api/database/find.html
+     *
+     * @param {Object} selector Mango selector, e.g. { type: "invoice", total: { $gt: 100 } }
+     * @param {Object} options Any of 'fields', 'sort', 'limit', 'skip',
+     * 'bookmark', 'use_index', 'conflicts', 'r' and 'execution_stats'.
+     * @returns An object with 'docs', 'bookmark' and possibly 'warning'
+     * properties. Its 'next' method fetches the page after it, or returns null
+     * when this was the last page.
+     * @type Object
+     */
+    query: function(selector, options) {
+        var self = this;
+        var body = util.deepCopy(options || {});
+
+        body.selector = selector;
+
+        return when(this._request("POST", this.uri + "_find", { data: JSON.stringify(body) }), function(result) {
+            var lastPage = result.docs.length === 0 ||
+                (body.limit !== undefined && result.docs.length < body.limit);
+
+            result.next = function() {
+                var nextOptions;
+
+                if (lastPage) {
+                    return null;
+                }
+
+                nextOptions = util.deepCopy(options || {});
+                nextOptions.bookmark = result.bookmark;
+                delete nextOptions.skip;
+
+                return self.query(selector, nextOptions);
+            };
+
+            return result;
+        });
+    },
+    /**
+     * Explain which index a Mango query would use and how.
+     * @param {Object} selector Mango selector
+     * @param {Object} options Same options as for 'query'
+     * @returns The _explain response, with 'index', 'selector' and 'opts'
+     * @type Object
+     */
+    explain: function(selector, options) {
+        var body = util.deepCopy(options || {});
+
+        body.selector = selector;
+
+        return this._request("POST", this.uri + "_explain", { data: JSON.stringify(body) });
+    },
+    /**
+     * Create a Mango index.
+     * @param {Array|Object} fields Fields to index, e.g. ["type", { "total": "desc" }],
+     * or a complete index definition with 'fields' and optionally 'partial_filter_selector'.
+     * @param {Object} options Any of 'name', 'ddoc', 'type' and 'partitioned'.
+     * @returns An object with 'result' ("created" or "exists"), 'id' and 'name'
+     * @type Object
+     */
+    createIndex: function(fields, options) {
+        var body = util.deepCopy(options || {});
+
+        body.index = util.isArrayLike(fields) ? { fields: fields } : fields;
+        if (body.ddoc) {
+            body.ddoc = body.ddoc.replace(/^_design\//, "");
+        }
+
+        return this._request("POST", this.uri + "_index", { data: JSON.stringify(body) });
+    },
+    /**
+     * List the Mango indexes of the database, including the _all_docs index.
+     * @returns Objects with 'ddoc', 'name', 'type' and 'def' properties
+     * @type Array
+     */
+    listIndexes: function() {
+        return when(this._request("GET", this.uri + "_index"), function(data) {
+            return data.indexes;
         });
+    },
+    /**
+     * Delete a Mango index.
+     * @param {String} ddoc Design document of the index
+     * @param {String} name Name of the index
+     * @param {String} type Type of the index, defaults to "json"
+     * @returns Whether the index was deleted
+     * @type Boolean
+     */
+    deleteIndex: function(ddoc, name, type) {
+        var uri = [
+            this.uri + "_index",
+            encodeURIComponent(ddoc.replace(/^_design\//, "")),
+            type || "json",
+            encodeURIComponent(name)
+        ].join("/");
 
-        return listResult;
+        return when(this._request("DELETE", uri), function(data) {
+            return data.ok === true;
+        });
     },
     fullTextSearch: function(designDocName, fullTextViewName, options) {
         var operator;
@@ -358,34 +1212,374 @@ var Database = {
             delete options.query;
         }
 
-        var fullTextResult = [];
-
         var uri = this.uri + "_fti/" + designDocName + "/" + fullTextViewName + encodeOptions(options);
 
-        this.httpClient.get(uri, {
-            async: false,
-            dataType: "json",
-            success: function(data, textStatus) {
-                fullTextResult = data;
+        return this._request("GET", uri, { dataType: "json" });
+    },
+    /**
+     * Retrieve the changes feed of the database
+     *
+     * Changes Reference:
+     * http://wiki.apache.org/couchdb/HTTP_database_API#Changes
+     *
+     * @param {Object} options Any of 'since', 'limit', 'include_docs', 'style',
+     * 'filter', 'heartbeat', 'timeout' and 'feed' ("normal" or "longpoll").
+     * Pass 'doc_ids' or 'selector' to use the built-in _doc_ids and _selector
+     * filters.
+     * @returns An object with 'results' and 'last_seq' properties.
+     * @type Object
+     */
+    changes: function(options) {
+        var body;
+        var verb = "GET";
+
+        options = util.deepCopy(options || {});
+
+        if (options.feed !== undefined && options.feed !== "normal" && options.feed !== "longpoll") {
+            throw new Error("Unsupported changes feed: " + options.feed);
+        }
+
+        if (options.doc_ids) {
+            body = JSON.stringify({ doc_ids: options.doc_ids });
+            options.filter = "_doc_ids";
+            delete options.doc_ids;
+            verb = "POST";
+        } else if (options.selector) {
+            body = JSON.stringify({ selector: options.selector });
+            options.filter = "_selector";
+            delete options.selector;
+            verb = "POST";
+        }
+
+        return this._request(verb, this.uri + "_changes" + encodeOptions(options), { data: body });
+    },
+    /**
+     * Create a follower for the changes feed of the database. The follower
+     * remembers the last sequence it has seen and calls the handler once for
+     * each change. See couchdb/changes for details.
+     *
+     * @param {Object} options Options passed on to 'changes'
+     * @param {Function} handler Called with each change row
+     * @returns a follower which has not been started yet
+     * @type ChangesFollower
+     */
+    follow: function(options, handler) {
+        return new ChangesFollower(this, options, handler);
+    },
+    /**
+     * A model bound to this database, see couchdb/model.
+     * @param {String|Function} nameOrModel Name of a new model, or a model
+     * defined with couch.model
+     * @param {Object} options Options of a new model
+     * @type Function
+     */
+    model: function(nameOrModel, options) {
+        if (typeof nameOrModel === "function") {
+            return nameOrModel.withDatabase(this);
+        }
+        return model(nameOrModel, util.update({ db: this }, options || {}));
+    },
+    /**
+     * Information about the database, such as 'doc_count', 'update_seq',
+     * 'sizes' and 'purge_seq'.
+     * @type Object
+     */
+    info: function() {
+        return this._request("GET", this.uri);
+    },
+    /**
+     * Start compacting the database. Compaction runs in the background, see
+     * waitForCompaction.
+     * @returns true if couch started the compaction
+     * @type Boolean
+     */
+    compact: function() {
+        return this._maintain("_compact");
+    },
+    /**
+     * Start compacting the view indexes of a design document.
+     * @param {String} designDocName
+     * @type Boolean
+     */
+    compactDesign: function(designDocName) {
+        return this._maintain("_compact/" + encodeURIComponent(designDocName.replace(/^_design\//, "")));
+    },
+    /**
+     * Remove view index files no design document uses any more.
+     * @type Boolean
+     */
+    viewCleanup: function() {
+        return this._maintain("_view_cleanup");
+    },
+    /**
+     * Make sure all changes to the database are written to disk.
+     * @type Boolean
+     */
+    ensureFullCommit: function() {
+        return this._maintain("_ensure_full_commit");
+    },
+    _maintain: function(path) {
+        return when(this._request("POST", this.uri + path, { data: "" }), function(data) {
+            return data.ok === true;
+        });
+    },
+    /**
+     * Number of revisions couch keeps track of for each document.
+     * @type Number
+     */
+    getRevsLimit: function() {
+        return when(this._request("GET", this.uri + "_revs_limit", { dataType: "text" }), function(data) {
+            return parseInt(data, 10);
+        });
+    },
+    /**
+     * @param {Number} limit Number of revisions to keep track of
+     * @type Boolean
+     */
+    setRevsLimit: function(limit) {
+        if (typeof limit !== "number" || limit < 1 || Math.floor(limit) !== limit) {
+            throw new Error("Argument error: 'limit' must be a positive integer");
+        }
+
+        return when(this._request("PUT", this.uri + "_revs_limit", { data: String(limit) }), function(data) {
+            return data.ok === true;
+        });
+    },
+    /**
+     * Remove revisions of documents from the database for good. Unlike
+     * removeDoc this leaves no tombstone, and purges do not replicate.
+     *
+     * @param {Object} revsById Revisions to purge, by document id, e.g.
+     * { "abc": ["1-967a00dff5e02add41819138abb3284d"] }
+     * @returns An object with the 'purged' revisions by document id, only those
+     * couch actually purged, and the 'purge_seq' where couch reports it
+     * @type Object
+     */
+    purge: function(revsById) {
+        return when(this._request("POST", this.uri + "_purge", {
+            data: JSON.stringify(revsById)
+        }), function(data) {
+            data.purged = data.purged || {};
+            return data;
+        });
+    },
+    /**
+     * Purge every leaf revision of a document, including conflicts and
+     * deleted leaves, so that nothing of it remains.
+     * @param {String} id Id of the document
+     * @returns The same as purge, with nothing purged if there is no such
+     * document
+     * @type Object
+     */
+    purgeDoc: function(id) {
+        var self = this;
+
+        return attempt(function() {
+            return self.openRevisions(id, "all");
+        }, function(leaves) {
+            var revsById = {};
+
+            if (leaves.length === 0) {
+                return { purged: {} };
+            }
+            revsById[id] = leaves.map(function(leaf) {
+                return leaf._rev;
+            });
+            return self.purge(revsById);
+        }, function(err) {
+            if (err instanceof errors.NotFound) {
+                return { purged: {} };
             }
+            throw err;
+        });
+    },
+    /**
+     * Number of purges couch keeps track of, so that indexes and replicas
+     * can catch up with them.
+     * @type Number
+     */
+    getPurgedInfosLimit: function() {
+        return when(this._request("GET", this.uri + "_purged_infos_limit", { dataType: "text" }), function(data) {
+            return parseInt(data, 10);
         });
+    },
+    /**
+     * @param {Number} limit Number of purges to keep track of
+     * @type Boolean
+     */
+    setPurgedInfosLimit: function(limit) {
+        if (typeof limit !== "number" || limit < 1 || Math.floor(limit) !== limit) {
+            throw new Error("Argument error: 'limit' must be a positive integer");
+        }
 
-        return fullTextResult;
+        return when(this._request("PUT", this.uri + "_purged_infos_limit", { data: String(limit) }), function(data) {
+            return data.ok === true;
+        });
     },
-    deleteAttachmentFromDoc: function(doc, attachmentName){
+    /**
+     * Information about the view index of a design document, e.g. whether
+     * it is being updated or compacted and its size.
+     * @param {String} designDocName
+     * @returns The 'view_index' object couch reports
+     * @type Object
+     */
+    designInfo: function(designDocName) {
+        var uri = this.uri + "_design/" + encodeURIComponent(designDocName.replace(/^_design\//, "")) + "/_info";
+
+        return when(this._request("GET", uri), function(data) {
+            return data.view_index;
+        });
+    },
+    /**
+     * Wait until no compaction of this database, or of the views of one of
+     * its design documents, shows up in the server's _active_tasks.
+     *
+     * @param {Object} options Any of 'designDoc' to wait for its views rather
+     * than the database, 'interval' between polls in ms, defaults to 1000,
+     * and 'timeout' in ms
+     * @returns true once compaction is done, false if the timeout passed first
+     * @type Boolean
+     */
+    waitForCompaction: function(options) {
+        var self = this;
+        var name = decodeURIComponent(this.name.replace(/\/$/, ""));
+        var started = new Date().getTime();
+        var done = false;
+        var interval, type, designDoc;
+
+        options = options || {};
+        interval = options.interval === undefined ? 1000 : options.interval;
+        designDoc = options.designDoc && "_design/" + options.designDoc.replace(/^_design\//, "");
+        type = designDoc ? "view_compaction" : "database_compaction";
+
+        // Clustered couch reports shard files, e.g. "shards/00-1f/name.1234".
+        function isCompacting(task) {
+            var database = String(task.database || "").replace(/^shards\/[^\/]+\//, "").replace(/\.\d+$/, "");
+
+            return database === name && (!designDoc || task.design_document === designDoc);
+        }
 
+        return when(promise.loop(function() {
+            return when(self.server.activeTasks(type), function(tasks) {
+                if (!tasks.some(isCompacting)) {
+                    done = true;
+                    return false;
+                }
+                if (options.timeout !== undefined && new Date().getTime() - started >= options.timeout) {
+                    return false;
+                }
+                return when(promise.delay(interval, self.async), function() {
+                    return true;
+                });
+            });
+        }), function() {
+            return done;
+        });
+    },
+    /**
+     * The security object of the database, with the 'admins' and 'members'
+     * who may use it, each as lists of 'names' and 'roles'.
+     * @type Object
+     */
+    getSecurity: function() {
+        return when(this._request("GET", this.uri + "_security"), normalizeSecurity);
+    },
+    /**
+     * Replace the security object of the database.
+     * @param {Object} security Object with 'admins' and 'members'
+     * @type Boolean
+     */
+    setSecurity: function(security) {
+        return when(this._request("PUT", this.uri + "_security", {
+            data: JSON.stringify(normalizeSecurity(security))
+        }), function(data) {
+            return data.ok === true;
+        });
+    },
+    /**
+     * Give a user or a role admin rights on the database.
+     * @param {String|Object} principal A user name, or { role: "name" }
+     * @returns The updated security object
+     * @type Object
+     */
+    addAdmin: function(principal) {
+        return this._changeSecurity("admins", principal, true);
+    },
+    removeAdmin: function(principal) {
+        return this._changeSecurity("admins", principal, false);
+    },
+    /**
+     * Allow a user or a role to read and write the database.
+     * @param {String|Object} principal A user name, or { role: "name" }
+     * @returns The updated security object
+     * @type Object
+     */
+    addMember: function(principal) {
+        return this._changeSecurity("members", principal, true);
+    },
+    removeMember: function(principal) {
+        return this._changeSecurity("members", principal, false);
+    },
+    // The security object has no revision, so read it back after writing it
+    // and start over if a concurrent change overwrote ours.
+    _changeSecurity: function(section, principal, add) {
+        var self = this;
+        var retries = 3;
+        var list = typeof principal === "string" ? "names" : "roles";
+        var value = typeof principal === "string" ? principal : principal && principal.role;
+        var result = null;
+
+        if (typeof value !== "string" || value === "") {
+            throw new Error("Argument error: expected a user name or { role: \"name\" }");
+        }
+
+        function isApplied(security) {
+            return (security[section][list].indexOf(value) !== -1) === add;
+        }
+
+        return when(promise.loop(function() {
+            return when(self.getSecurity(), function(security) {
+                var values = security[section][list];
+
+                if (isApplied(security)) {
+                    result = security;
+                    return false;
+                }
+                if (retries === 0) {
+                    throw new errors.Conflict(409, {
+                        error: "conflict",
+                        reason: "The security object of " + self.name + " kept changing"
+                    });
+                }
+                retries -= 1;
+
+                security[section][list] = add ? values.concat([value]) : values.filter(function(v) {
+                    return v !== value;
+                });
+                return when(self.setSecurity(security), function() {
+                    return true;
+                });
+            });
+        }), function() {
+            return result;
+        });
+    },
+    /**
+     * Remove an attachment from a document, the same as removeAttachmentFromDoc.
+     */
+    deleteAttachmentFromDoc: function(doc, attachmentName){
+        return this.removeAttachmentFromDoc(doc, attachmentName);
     },
     /**
      * Add an attachment to a document
      *
-     * @param {Object} doc                Document to add attachment to
+     * @param {Object} doc                Document to add attachment to, its
+     *                                    '_rev' is updated to the new revision
      * @param {String} attachmentName     Name of the attachment
      * @param {String} contentType        Content type of the attachment
      * @param {Array}  attachmentData     Binary data
      */
     addAttachmentToDoc: function(doc, attachmentName, contentType, attachmentData) {
-        var status;
-
         if (doc._rev === undefined) {
             throw new Error("Argument 'doc' must have a '_rev' property in order to add attachments.");
         }
@@ -393,31 +1587,45 @@ var Database = {
             throw new Error("Argument 'attachmentName' is required");
         }
 
-        var uri = this.uri + doc._id + "/" + attachmentName + "?rev=" + doc._rev;
+        var self = this;
+        var uri = this.uri + encodeDocId(doc._id) + "/" + encodeAttachmentName(attachmentName) + "?rev=" + doc._rev;
 
-        this.httpClient.put(uri, {
+        return when(this._request("PUT", uri, {
             headers: [ { "label" : "Content-Type", "value": contentType }],
-            data: attachmentData.toArray(),
+            data: typeof attachmentData.toArray === "function" ? attachmentData.toArray() : attachmentData,
             binary: true,
-            async: false,
-            dataType: "json",
-            success: function(data, textStatus) {
-                status = textStatus;
-		 if (!data.ok) {
-                    response = false;
-                    return status;
-                }
-            },
-            error: function(xhr, textStatus, errorThrown) {
-                throw new DatabaseError(xhr.status, "Failed to add attachment");
+            dataType: "json"
+        }), function(data) {
+            if (!data.ok) {
+                return false;
             }
+            doc._rev = data.rev;
+            self._invalidate(doc._id);
+            return true;
         });
+    },
+    /**
+     * Add an attachment to a document which has not been saved yet, or whose
+     * attachments should be saved along with it. The data is stored base64
+     * encoded in '_attachments' and sent with the next 'save'.
+     *
+     * @param {Object} doc                Document to add attachment to
+     * @param {String} attachmentName     Name of the attachment
+     * @param {String} contentType        Content type of the attachment
+     * @param {String} attachmentData     Binary data, as a ByteString or a string
+     */
+    inlineAttachment: function(doc, attachmentName, contentType, attachmentData) {
+        if (attachmentName === undefined || attachmentName === null || attachmentName === ""){
+            throw new Error("Argument 'attachmentName' is required");
+        }
 
-        return status;
+        doc._attachments = doc._attachments || {};
+        doc._attachments[attachmentName] = {
+            content_type: contentType,
+            data: base64.encode(attachmentData)
+        };
     },
     removeAttachmentFromDoc: function(doc, attachmentName) {
-        var response = true;
-
         if (doc._id === undefined) {
             throw new Error("Can not delete attachments from a doc that does not have an id");
         }
@@ -425,79 +1633,359 @@ var Database = {
             throw new Error("Can not delete attachments from a doc that does not have a revision number");
         }
 
-        var uri = this.uri + doc._id + "/" + attachmentName + "?rev=" + doc._rev;
-        this.httpClient.del(uri, {
-            async: false,
-            dataType: "json",
-            success: function(data, textStatus) {
-                if (!data.ok) {
-                    response = false;
-                    return;
-                }
-                doc._rev = data.rev;
-            },
-            error: function(xhr) {
-                throw new Error("Failed to delete attachment: " + xhr.status);
+        var self = this;
+        var uri = this.uri + encodeDocId(doc._id) + "/" + encodeAttachmentName(attachmentName) + "?rev=" + doc._rev;
+
+        return when(this._request("DELETE", uri, { dataType: "json" }), function(data) {
+            if (!data.ok) {
+                return false;
+            }
+            doc._rev = data.rev;
+            self._invalidate(doc._id);
+            if (doc._attachments) {
+                delete doc._attachments[attachmentName];
             }
+            return true;
         });
+    },
+    /**
+     * List the attachments of a document.
+     *
+     * @param {Object|String} docOrId The document, or its id to fetch it
+     * @returns Objects with 'name', 'content_type', 'length', 'digest' and
+     * 'revpos' properties
+     * @type Array
+     */
+    listAttachments: function(docOrId) {
+        var doc = typeof docOrId === "string" ? this.find(docOrId) : docOrId;
+
+        return when(doc, function(doc) {
+            var attachments = (doc && doc._attachments) || {};
 
-        return response;
+            return Object.keys(attachments).map(function(name) {
+                var attachment = attachments[name];
+                return {
+                    name: name,
+                    content_type: attachment.content_type,
+                    length: attachment.length,
+                    digest: attachment.digest,
+                    revpos: attachment.revpos
+                };
+            });
+        });
+    },
+    /**
+     * Read the metadata of an attachment without downloading it.
+     *
+     * @param {String} docId Id of the document
+     * @param {String} attachmentName Name of the attachment
+     * @returns An object with 'name', 'content_type', 'length' and 'digest'
+     * properties, or null if there is no such attachment. 'digest' is
+     * undefined when couch sends no Content-MD5.
+     * @type Object
+     */
+    attachmentInfo: function(docId, attachmentName) {
+        var self = this;
+        var uri = this.uri + encodeDocId(docId) + "/" + encodeAttachmentName(attachmentName);
+
+        return attempt(function() {
+            return self._request("HEAD", uri, { dataType: "text", response: true });
+        }, function(response) {
+            var length = response.getResponseHeader("Content-Length");
+
+            return {
+                name: attachmentName,
+                content_type: response.getResponseHeader("Content-Type"),
+                length: length === null ? undefined : parseInt(length, 10),
+                digest: attachmentDigest(response)
+            };
+        }, function(err) {
+            if (err instanceof errors.NotFound)
+                return null;
+            throw err;
+        });
     },
+    /**
+     * Download an attachment
+     *
+     * @param {String} docId Id of the document
+     * @param {String} attachmentName Name of the attachment
+     * @param {Object} options Any of
+     *     'range': [first, last] byte offsets to download only a part,
+     *     'verify': check the data against the Content-MD5 couch sends, or
+     *               against a digest such as the 'digest' of the attachment
+     *               stub. Data without an MD5 digest is not checked,
+     *     'if_none_match': an etag, when it still matches 'not_modified' is
+     *                      called and null is returned,
+     *     'success', 'error' and 'not_modified' callbacks.
+     * @returns An object with 'data', 'content_type', 'etag' and 'status'
+     * (206 for a range), or null if 'if_none_match' matched
+     * @type Object
+     */
     getAttachment: function(docId, attachmentName, options) {
-        var HttpClient = require("couchdb/http_client").HttpClient;
-        var httpClient = new HttpClient();
-        var url = this.uri + docId + "/" + encodeURIComponent(attachmentName);
-        print(url);
-        var util = require("util");
-        var log = this.log;
-        var attachment = {};
-        var isError = false;
-
-        httpClient.get(url, {
-            dataType: "raw",
-            success: function(data) {
-                attachment.data = data;
-            },
-            complete: function(xhr, textStatus) {
-                var contentType;
-                var etag;
-
-                contentType = xhr.getResponseHeader("Content-Type");
-                if (typeof contentType === "string") {
-                    attachment.content_type = contentType;
-                }
+        var self = this;
+        var uri = this.uri + encodeDocId(docId) + "/" + encodeAttachmentName(attachmentName);
+        var headers = [];
 
-                etag = xhr.getResponseHeader("Etag");
-                if (typeof etag === "string") {
-                    print(options.if_none_match);
-                    print(etag);
-                    print("\n");
-                    if (options.if_none_match && options.if_none_match === etag) {
-                        if (options.not_modified) {
-                            options.not_modified();
-                            return;
-                        }
-                    }
-                    attachment.etag = etag;
-                }
+        options = options || {};
 
-                if (!isError) {
-                    if (options.success)
-                        options.success(attachment);
-                }
-            },
-            error: function(client, textStatus, errorThrown) {
-                if (errorThrown) {
-                    print("HttpClient error: " + errorThrown);
+        if (options.range) {
+            headers.push({ label: "Range", value: "bytes=" + options.range[0] + "-" + options.range[1] });
+        }
+        if (options.if_none_match) {
+            headers.push({ label: "If-None-Match", value: options.if_none_match });
+        }
+
+        return attempt(function() {
+            if (headers.length > 0) {
+                return self._request("GET", uri, { dataType: "raw", headers: headers, response: true });
+            }
+            return self._cachedRequest("GET", uri, { dataType: "raw" }, uri);
+        }, function(response) {
+            var attachment = { data: response.data, status: response.status };
+            var contentType = response.getResponseHeader("Content-Type");
+            var etag = response.getResponseHeader("Etag");
+            var digest;
+
+            if (response.status === 304) {
+                if (options.not_modified) {
+                    options.not_modified();
                 }
-                isError = true;
-                if (options.error)
-                    options.error(textStatus);
+                return null;
+            }
+
+            if (typeof contentType === "string") {
+                attachment.content_type = contentType;
+            }
+            if (typeof etag === "string") {
+                attachment.etag = etag;
+            }
+
+            digest = typeof options.verify === "string" ? options.verify : attachmentDigest(response);
+            if (options.verify && response.status !== 206 && digest !== undefined &&
+                    digest.indexOf("md5-") === 0 &&
+                    digest !== "md5-" + base64.encode(md5.hash(attachment.data))) {
+                throw new errors.CouchError(response.status, {
+                    error: "digest_mismatch",
+                    reason: "Attachment " + attachmentName + " of " + docId + " does not match its digest " + digest
+                });
+            }
+
+            if (options.success) {
+                options.success(attachment);
+            }
+            return attachment;
+        }, function(err) {
+            if (options.error) {
+                options.error(err);
+                return null;
             }
+            throw err;
+        });
+    },
+    /**
+     * Copy an attachment of one document to another document.
+     *
+     * @param {String} fromDocId Id of the document with the attachment
+     * @param {String} attachmentName Name of the attachment
+     * @param {Object} toDoc Document to copy the attachment to, its '_rev' is
+     *                       updated to the new revision
+     * @param {String} newName Name of the copy, defaults to attachmentName
+     */
+    copyAttachment: function(fromDocId, attachmentName, toDoc, newName) {
+        var self = this;
+
+        return when(this.getAttachment(fromDocId, attachmentName, { verify: true }), function(attachment) {
+            return self.addAttachmentToDoc(toDoc, newName || attachmentName, attachment.content_type, attachment.data);
         });
     }
 };
 
+// CouchDB reserves attributes starting with an underscore, but throws
+// horrible error messages that don't tell you about what is going
+// wrong, so let's do that here.
+function checkReservedAttributes(doc) {
+    for (var attr in doc) {
+        if (doc.hasOwnProperty(attr)) {
+            if (attr.charAt(0) === "_" &&
+                COUCH_RESERVED_ATTRS.indexOf(attr) === -1) {
+                throw new errors.BadRequest(400, {
+                    error: "doc_validation",
+                    reason: [
+                        attr,
+                        "is not a legal attribute name. Attributes starting",
+                        "with an underscore are reserved by couch."
+                    ].join(" ")
+                });
+            }
+        }
+    }
+}
+
+// The json of a document to save. Attachment data downloaded by 'find' is
+// left out of the stubs, couch already has it.
+function docJson(doc) {
+    return JSON.stringify(doc, function(key, value) {
+        var attachments;
+
+        if (key !== "_attachments" || this !== doc || !value) {
+            return value;
+        }
+
+        attachments = {};
+        Object.keys(value).forEach(function(name) {
+            var attachment = util.update({}, value[name]);
+            if (attachment.stub) {
+                delete attachment.body;
+            }
+            attachments[name] = attachment;
+        });
+        return attachments;
+    });
+}
+
+// The outcome of each document of a _bulk_docs request. Rows come back in
+// the order of the documents, except with new_edits=false, where couch only
+// reports the documents it rejected.
+function bulkResults(docs, rows) {
+    var failures = {};
+
+    if (rows.length !== docs.length) {
+        rows.forEach(function(row) {
+            failures[row.id] = row;
+        });
+    }
+
+    return docs.map(function(doc, i) {
+        var row = rows.length === docs.length ? rows[i] : failures[doc._id] || { id: doc._id, rev: doc._rev };
+
+        if (row.error !== undefined) {
+            return { id: doc._id, ok: false, error: errors.fromRow(row) };
+        }
+        doc._rev = row.rev;
+        return { id: doc._id, ok: true, rev: row.rev };
+    });
+}
+
+// Fill in the parts of a security object couch leaves out when empty.
+function normalizeSecurity(security) {
+    security = util.deepCopy(security || {});
+
+    ["admins", "members"].forEach(function(section) {
+        security[section] = security[section] || {};
+        security[section].names = security[section].names || [];
+        security[section].roles = security[section].roles || [];
+    });
+    return security;
+}
+
+// Once saved, inline attachments are kept as stubs, as couch returns them, so
+// that saving the document again does not upload their data again.
+function stubAttachments(doc) {
+    var attachments = doc._attachments || {};
+
+    Object.keys(attachments).forEach(function(name) {
+        var attachment = attachments[name];
+
+        if (attachment.data !== undefined) {
+            attachments[name] = {
+                content_type: attachment.content_type,
+                length: base64.decode(attachment.data).length,
+                stub: true
+            };
+        }
+    });
+}
+
+// Attachment names may contain slashes, which couch expects unencoded.
+function encodeAttachmentName(name) {
+    return name.split("/").map(encodeURIComponent).join("/");
+}
+
+// The digest of an attachment in the form couch uses in '_attachments'. The
+// ETag is no digest, for attachments stored without an md5 it is the
+// revision of the document.
+function attachmentDigest(response) {
+    var md5Header = response.getResponseHeader("Content-MD5");
+
+    if (typeof md5Header === "string" && md5Header !== "") {
+        return "md5-" + md5Header;
+    }
+    return undefined;
+}
+
+// Design and local document ids keep their slash, couch does not route
+// "_design%2F" or "_local%2F".
+function encodeDocId(id) {
+    var match = /^(_design\/|_local\/)(.*)$/.exec(id);
+    if (match) {
+        return match[1] + encodeURIComponent(match[2]);
+    }
+    return encodeURIComponent(id);
+}
+
+// Design documents in a form where two documents with the same functions
+// compare equal, no matter how the functions were formatted.
+function normalizeDesign(value, topLevel) {
+    var normalized;
+
+    if (typeof value === "string") {
+        return value.replace(/\s+/g, " ").trim();
+    }
+    if (util.isArrayLike(value)) {
+        return value.map(function(item) {
+            return normalizeDesign(item);
+        });
+    }
+    if (value !== null && typeof value === "object") {
+        normalized = {};
+        Object.keys(value).sort().forEach(function(key) {
+            if (topLevel && key.charAt(0) === "_") {
+                return;
+            }
+            if (value[key] !== undefined) {
+                normalized[key] = normalizeDesign(value[key]);
+            }
+        });
+        return normalized;
+    }
+    return value;
+}
+
+function sameDesign(a, b) {
+    return JSON.stringify(normalizeDesign(a, true)) === JSON.stringify(normalizeDesign(b, true));
+}
+
+// The response of a show, list or update function, whatever its content type.
+function handlerResponse(response) {
+    var contentType = response.getResponseHeader("Content-Type");
+    var result = {
+        body: response.data,
+        status: response.status,
+        contentType: contentType,
+        getResponseHeader: response.getResponseHeader
+    };
+
+    if (typeof contentType === "string" && /^application\/json/.test(contentType) && response.data) {
+        result.json = JSON.parse(response.data);
+    }
+
+    return result;
+}
+
+function withOptions(query, options) {
+    Object.keys(options || {}).forEach(function(name) {
+        query.option(name, options[name]);
+    });
+    return query;
+}
+
+// Response headers kept along with a cached response.
+var CACHED_HEADERS = ["Content-Type", "Etag", "Content-MD5", "Content-Length"];
+
+// Query options whose values couch expects as json.
+var JSON_OPTIONS = ["key", "keys", "startkey", "endkey", "start_key", "end_key"];
+
 // from couch.js which is included in CouchDB with apache license
 // slightly modified
 function encodeOptions(options) {
@@ -506,7 +1994,8 @@ function encodeOptions(options) {
         for (var name in options) {
             if (!options.hasOwnProperty(name)) continue;
             var value = options[name];
-            if (name == "key" || name == "startkey" || name == "endkey") {
+            if (JSON_OPTIONS.indexOf(name) !== -1 ||
+                (name == "open_revs" && value !== "all")) {
                 value = JSON.stringify(value);
             }
             buf.push(encodeURIComponent(name) + "=" + encodeURIComponent(value));
@@ -518,15 +2007,26 @@ function encodeOptions(options) {
     return "?" + buf.join("&");
 }
 
-var DatabaseError = exports.DatabaseError = function(status, message) {
-    return Object.create(Error, {
-        "status": {
-            get: function() { return status; }
-        },
-        "message": {
-            get: function() { return message; }
-        }
-    });
-};
+/**
+ * The old name of CouchError, which took a message rather than the json body
+ * of the response. A string is kept as the 'reason', and every CouchError is
+ * a DatabaseError.
+ * @param {Number} status
+ * @param {String|Object} message Message, or the json body as for CouchError
+ */
+function DatabaseError(status, message) {
+    if (!(this instanceof DatabaseError)) {
+        return new DatabaseError(status, message);
+    }
+    if (typeof message === "string") {
+        errors.CouchError.call(this, status, { reason: message }, message);
+    } else {
+        errors.CouchError.call(this, status, message);
+    }
+}
+
+DatabaseError.prototype = errors.CouchError.prototype;
+
+exports.DatabaseError = DatabaseError;
 
 exports.Database = Database;
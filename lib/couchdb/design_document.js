@@ -1,3 +1,27 @@
+var schema = require("./schema");
+
+// Functions are stored in design documents as their source.
+function toSource(fn){
+    if (fn === undefined || fn === null) {
+        return undefined;
+    }
+    if (typeof fn === "function") {
+        return fn.toString();
+    }
+    if (typeof fn === "string") {
+        return fn;
+    }
+    throw new Error("Argument error: expected a function or its source");
+}
+
+function addFunction(document, section, name, fn){
+    if (name == undefined || name == "") {
+        throw new Error("Argument 'name' is required");
+    }
+    document[section] = document[section] || {};
+    document[section][name] = toSource(fn);
+}
+
 function DesignDocument(fn){
     this.document = {
         views: {}
@@ -59,13 +83,84 @@ function DesignDocument(fn){
                 map: strView
             };
         } else {
-            this.document.views[stringOrObject.name] = {
-                "map": stringOrObject.map,
-                "reduce": stringOrObject.reduce
-            };
+            this.view(stringOrObject.name, stringOrObject.map, stringOrObject.reduce);
         }
     };
 
+    /**
+     * Add a view.
+     * @param {String} name Name of the view
+     * @param {Function|String} map Map function
+     * @param {Function|String} reduce Optional reduce function, or the name of
+     * a built-in one such as "_sum" or "_count"
+     */
+    this.view = function(name, map, reduce){
+        this.document.views[name] = {
+            "map": toSource(map),
+            "reduce": toSource(reduce)
+        };
+    };
+
+    /**
+     * Add a show function, called as fn(doc, req).
+     */
+    this.show = function(name, fn){
+        addFunction(this.document, "shows", name, fn);
+    };
+
+    /**
+     * Add a list function, called as fn(head, req).
+     */
+    this.list = function(name, fn){
+        addFunction(this.document, "lists", name, fn);
+    };
+
+    /**
+     * Add an update handler, called as fn(doc, req).
+     */
+    this.update = function(name, fn){
+        addFunction(this.document, "updates", name, fn);
+    };
+
+    /**
+     * Add a filter function for the changes feed and replication, called as
+     * fn(doc, req).
+     */
+    this.filter = function(name, fn){
+        addFunction(this.document, "filters", name, fn);
+    };
+
+    /**
+     * Set the validation function, called as fn(newDoc, oldDoc, userCtx, secObj).
+     */
+    this.validateDocUpdate = function(fn){
+        this.document.validate_doc_update = toSource(fn);
+    };
+
+    /**
+     * Set a validation function which rejects documents that do not match
+     * the JSON Schema of their 'type', see couchdb/schema.
+     * @param {Object} schemasByType
+     */
+    this.validateSchemas = function(schemasByType){
+        this.document.validate_doc_update = schema.compile(schemasByType);
+    };
+
+    /**
+     * Set the rewrite rules: an array of objects with 'from', 'to', 'method'
+     * and 'query', or a function(req) for couch 2.0 and later.
+     */
+    this.rewrites = function(rules){
+        this.document.rewrites = typeof rules === "function" ? toSource(rules) : rules;
+    };
+
+    /**
+     * Set the language of the functions, defaults to "javascript".
+     */
+    this.language = function(language){
+        this.document.language = language;
+    };
+
     this.id = function(id){
         if (!id.match(/^_design\/?/g)){
             id = "_design/" + id;
@@ -0,0 +1,127 @@
+/**
+ * Errors raised for failed requests to couch.
+ *
+ * Every error carries the http 'status' of the response along with the
+ * 'error' and 'reason' couch put in its json body, e.g. "conflict" and
+ * "Document update conflict.".
+ */
+
+/**
+ * Base class of all couch errors.
+ * @param {Number} status Http status of the response, 0 if there was none
+ * @param {Object} body Json body of the response with 'error' and 'reason'
+ * @param {String} message Optional message, defaults to the reason
+ */
+function CouchError(status, body, message) {
+    body = body || {};
+
+    this.status = status;
+    this.error = body.error;
+    this.reason = body.reason;
+    this.message = message || [status, body.error, body.reason].filter(function(part) {
+        return part !== undefined && part !== null && part !== "";
+    }).join(": ");
+}
+
+CouchError.prototype = Object.create(Error.prototype);
+CouchError.prototype.constructor = CouchError;
+CouchError.prototype.name = "CouchError";
+
+function defineError(name, parent) {
+    var CustomError = function(status, body, message) {
+        parent.call(this, status, body, message);
+    };
+
+    CustomError.prototype = Object.create(parent.prototype);
+    CustomError.prototype.constructor = CustomError;
+    CustomError.prototype.name = name;
+
+    return CustomError;
+}
+
+/** 400: the request or the document was malformed. */
+var BadRequest = defineError("BadRequest", CouchError);
+/** 401: credentials are missing or wrong. */
+var Unauthorized = defineError("Unauthorized", CouchError);
+/** 403: the user may not do this, e.g. rejected by validate_doc_update. */
+var Forbidden = defineError("Forbidden", CouchError);
+/** 404: the database, document or attachment does not exist. */
+var NotFound = defineError("NotFound", CouchError);
+/** 409: the document was updated by someone else in the meantime. */
+var Conflict = defineError("Conflict", CouchError);
+/** 412: e.g. the database to create already exists. */
+var PreconditionFailed = defineError("PreconditionFailed", CouchError);
+/** 5xx: couch failed to handle the request. */
+var ServerError = defineError("ServerError", CouchError);
+/** No response from couch at all. */
+var NetworkError = defineError("NetworkError", CouchError);
+
+var ERRORS_BY_STATUS = {
+    400: BadRequest,
+    401: Unauthorized,
+    403: Forbidden,
+    404: NotFound,
+    409: Conflict,
+    412: PreconditionFailed
+};
+
+/**
+ * Create the error matching a failed response.
+ * @param {Number} status Http status of the response
+ * @param {String} responseText Body of the response
+ * @return CouchError
+ */
+function fromResponse(status, responseText) {
+    var body = {};
+    var ErrorClass;
+
+    try {
+        body = JSON.parse(responseText) || {};
+    } catch (e) {
+        // Not every error response from couch has a json body.
+        body = { reason: responseText || undefined };
+    }
+
+    if (!status) {
+        ErrorClass = NetworkError;
+    } else if (status >= 500) {
+        ErrorClass = ServerError;
+    } else {
+        ErrorClass = ERRORS_BY_STATUS[status] || CouchError;
+    }
+
+    return new ErrorClass(status || 0, body);
+}
+
+var STATUS_BY_ERROR = {
+    bad_request: 400,
+    unauthorized: 401,
+    forbidden: 403,
+    not_found: 404,
+    conflict: 409
+};
+
+/**
+ * Create the error for a failed row of a bulk response such as _bulk_docs,
+ * which has 'error' and 'reason' but no status of its own.
+ * @param {Object} row
+ * @return CouchError
+ */
+function fromRow(row) {
+    return fromResponse(STATUS_BY_ERROR[row.error] || 500, JSON.stringify({
+        error: row.error,
+        reason: row.reason
+    }));
+}
+
+exports.CouchError = CouchError;
+exports.BadRequest = BadRequest;
+exports.Unauthorized = Unauthorized;
+exports.Forbidden = Forbidden;
+exports.NotFound = NotFound;
+exports.Conflict = Conflict;
+exports.PreconditionFailed = PreconditionFailed;
+exports.ServerError = ServerError;
+exports.NetworkError = NetworkError;
+exports.fromResponse = fromResponse;
+exports.fromRow = fromRow;
@@ -1,13 +1,26 @@
 var XMLHttpRequest = require("browser/xhr").XMLHttpRequest;
 
 var util = require("util");
+var base64 = require("base64");
 
-function HttpClient(){};
+/**
+ * Http client used to talk to couch.
+ * @param {Object} auth Optional credentials, see 'auth' below.
+ */
+function HttpClient(auth){
+    /**
+     * Credentials sent with every request, or null. An object with a 'type'
+     * of "basic" ('username' and 'password'), "cookie" ('cookie', kept up to
+     * date from the AuthSession cookies couch sends back) or "proxy"
+     * ('username', 'roles' and optionally 'token').
+     */
+    this.auth = auth || null;
+};
 
 HttpClient.prototype = (function() {
     var ajaxOptions = function() {
         return {
-            async: true,
+            async: false,
             dataType: "json",
             type: "get",
             headers: [],
@@ -16,33 +29,49 @@ HttpClient.prototype = (function() {
     };
     return {
         _request: function(verb, uri, options) {
-            var i, header;
+            var i, header, headers;
             var opts = ajaxOptions();
             util.update(opts, options || {});
             opts.url = uri;
             opts.type = verb;
 
             var data = opts.data || "";
-            if (["delete","get"].some(function(x) { return x === verb.toLowerCase(); })){
+            if (["delete","get","head"].some(function(x) { return x === verb.toLowerCase(); })){
                 data = undefined;
             }
 
+            var self = this;
             var req = new XMLHttpRequest();
-            req.open(verb, uri, false);
+            req.open(verb, uri, opts.async);
 
             // Set headers
-            for (i=0;i<opts.headers.length;++i) {
-                header = opts.headers[i];
+            headers = opts.headers.concat(this.authHeaders());
+            for (i=0;i<headers.length;++i) {
+                header = headers[i];
                 req.setRequestHeader(header.label, header.value);
-                print("set header -- " + header.label + " : " + header.value);
             };
 
+            if (opts.async) {
+                req.onreadystatechange = function() {
+                    if (req.readyState === 4) {
+                        self._respond(req, opts);
+                    }
+                };
+            }
+
             if (opts.binary) {
                 req.sendAsBinary(data);
             } else {
                 req.send(data);
             }
 
+            if (!opts.async) {
+                this._respond(req, opts);
+            }
+        },
+        _respond: function(req, opts) {
+            this._updateSession(req);
+
             if (req.status >= 200 && req.status < 400 && opts.success){
                 var results = {
                     responseText: req.responseText,
@@ -67,6 +96,55 @@ HttpClient.prototype = (function() {
                  opts.complete(req, req.status.toString());
             }
         },
+        /**
+         * Headers carrying the credentials in 'auth'.
+         * @return Headers as objects with 'label' and 'value'
+         * @type Array
+         */
+        authHeaders: function() {
+            var auth = this.auth;
+            var headers = [];
+
+            if (!auth) {
+                return headers;
+            }
+
+            if (auth.type === "basic") {
+                headers.push({
+                    label: "Authorization",
+                    value: "Basic " + base64.encode(auth.username + ":" + auth.password)
+                });
+            } else if (auth.type === "cookie") {
+                if (auth.cookie) {
+                    headers.push({ label: "Cookie", value: auth.cookie });
+                }
+            } else if (auth.type === "proxy") {
+                headers.push({ label: "X-Auth-CouchDB-UserName", value: auth.username });
+                headers.push({ label: "X-Auth-CouchDB-Roles", value: (auth.roles || []).join(",") });
+                if (auth.token) {
+                    headers.push({ label: "X-Auth-CouchDB-Token", value: auth.token });
+                }
+            } else {
+                throw new Error("Unknown authentication type: " + auth.type);
+            }
+
+            return headers;
+        },
+        // Couch hands out a new AuthSession cookie on login and whenever the
+        // current one is about to expire, so keep whichever one came last.
+        _updateSession: function(req) {
+            var setCookie, match;
+
+            if (!this.auth || this.auth.type !== "cookie") {
+                return;
+            }
+
+            setCookie = req.getResponseHeader("Set-Cookie");
+            match = typeof setCookie === "string" && /AuthSession=[^;]*/.exec(setCookie);
+            if (match) {
+                this.auth.cookie = match[0] === "AuthSession=" ? null : match[0];
+            }
+        },
         get: function(uri, options){
             this._request("GET", uri, options);
         },
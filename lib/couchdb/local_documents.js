@@ -0,0 +1,105 @@
+var promise = require("./promise");
+var errors = require("./errors");
+
+var when = promise.when;
+var attempt = promise.attempt;
+
+/**
+ * Local documents of a database, available as 'db.local'. Local documents
+ * are never replicated and do not show up in _all_docs or the changes feed,
+ * which makes them the place for per node state such as checkpoints.
+ *
+ * Local documents are named without their "_local/" prefix, although names
+ * with it work as well.
+ *
+ * @param {Database} db
+ */
+function LocalDocuments(db) {
+    this.db = db;
+}
+
+function localName(name) {
+    if (name === undefined || name === null || name === "") {
+        throw new Error("Argument Expected: name");
+    }
+    return String(name).replace(/^_local\//, "");
+}
+
+LocalDocuments.prototype = {
+    _uri: function(name) {
+        return this.db.uri + "_local/" + encodeURIComponent(localName(name));
+    },
+    /**
+     * @param {String} name
+     * @returns The local document, or null if there is none
+     * @type Object
+     */
+    get: function(name) {
+        var self = this;
+
+        return attempt(function() {
+            return self.db._request("GET", self._uri(name));
+        }, null, function(err) {
+            if (err instanceof errors.NotFound) {
+                return null;
+            }
+            throw err;
+        });
+    },
+    /**
+     * Save a local document. Updating one requires its current '_rev', like
+     * any other document.
+     * @param {String} name
+     * @param {Object} doc Its '_id' and '_rev' are updated once it is saved
+     * @returns The saved document
+     * @throws Conflict if the '_rev' of the document is not the current one
+     * @type Object
+     */
+    put: function(name, doc) {
+        doc._id = "_local/" + localName(name);
+
+        return when(this.db._request("PUT", this._uri(name), { data: JSON.stringify(doc) }), function(data) {
+            doc._rev = data.rev;
+            return doc;
+        });
+    },
+    /**
+     * Delete a local document.
+     * @param {String} name
+     * @param {String} rev Revision to delete, defaults to the current one
+     * @returns Whether there was a document to delete
+     * @type Boolean
+     */
+    remove: function(name, rev) {
+        var self = this;
+
+        return when(rev === undefined ? this.get(name) : { _rev: rev }, function(doc) {
+            if (doc === null) {
+                return false;
+            }
+            return attempt(function() {
+                return self.db._request("DELETE", self._uri(name) + "?rev=" + encodeURIComponent(doc._rev));
+            }, function() {
+                return true;
+            }, function(err) {
+                if (err instanceof errors.NotFound) {
+                    return false;
+                }
+                throw err;
+            });
+        });
+    },
+    /**
+     * List local documents with _local_docs, which couch has since 2.2.
+     * @param {Object} options Same options as for Database.allDocs
+     * @returns Rows with 'id', 'key', 'value' and, with 'include_docs', 'doc'
+     * @type Array
+     */
+    list: function(options) {
+        return when(this.db._queryView("_local_docs", options), function(result) {
+            return result.rows || [];
+        });
+    }
+};
+
+exports.LocalDocuments = LocalDocuments;
@@ -0,0 +1,269 @@
+var util = require("util");
+var promise = require("./promise");
+var errors = require("./errors");
+var DesignDocument = require("./design_document");
+
+var when = promise.when;
+var attempt = promise.attempt;
+
+/**
+ * Define a model: a type of document with defaults, methods and views of its
+ * own, e.g.
+ *
+ *     var Invoice = couch.model("Invoice", {
+ *         defaults: { paid: false, lines: function() { return []; } },
+ *         methods: { total: function() { ... } },
+ *         views: { by_customer: "customer" }
+ *     }).withDatabase(db);
+ *
+ *     var invoice = Invoice.create({ customer: "acme" });
+ *     invoice.paid = true;
+ *     invoice.save();
+ *
+ * Documents of a model have a 'type' field with the name of the model. The
+ * views of a model only see documents of its type and are deployed in the
+ * design document "_design/<name>" the first time they are queried.
+ *
+ * @param {String} name Name of the model, stored as the 'type' of its documents
+ * @param {Object} options Any of
+ *     'schema': JSON Schema of the documents, checked before they are saved
+ *               and by couch, see couchdb/schema,
+ *     'defaults': values of missing fields, functions are called for each
+ *                 new document,
+ *     'methods': added to each instance,
+ *     'views': by name, a field to emit as key or a map function,
+ *     'db': Database to bind the model to.
+ * @returns The model, a constructor for its instances
+ * @type Function
+ */
+function model(name, options) {
+    var definition;
+
+    if (typeof name !== "string" || name === "") {
+        throw new Error("Argument Expected: name");
+    }
+
+    options = options || {};
+    definition = {
+        name: name,
+        schema: options.schema || null,
+        defaults: options.defaults || {},
+        methods: options.methods || {},
+        views: options.views || {}
+    };
+
+    return defineModel(definition, options.db || null);
+}
+
+// The schema of a model by its type, which also allows the 'type' field.
+function typeSchemas(definition) {
+    var schemas = {};
+    var schema = util.update({}, definition.schema);
+
+    schema.properties = util.update({ type: { "const": definition.name } }, schema.properties || {});
+    schemas[definition.name] = schema;
+    return schemas;
+}
+
+function defineModel(definition, db) {
+    var deployed = null;
+
+    /**
+     * A document of the model. Fields of 'attributes' become fields of the
+     * instance, missing ones are taken from the defaults.
+     * @param {Object} attributes
+     */
+    function Model(attributes) {
+        var self = this;
+        var defaults = definition.defaults;
+
+        attributes = attributes || {};
+        Object.keys(attributes).forEach(function(key) {
+            self[key] = attributes[key];
+        });
+        Object.keys(defaults).forEach(function(key) {
+            if (self[key] === undefined) {
+                self[key] = typeof defaults[key] === "function" ?
+                    defaults[key]() :
+                    util.deepCopy(defaults[key]);
+            }
+        });
+        this.type = definition.name;
+    }
+
+    Model.modelName = definition.name;
+    Model.schema = definition.schema;
+    Model.db = db;
+
+    if (db !== null && definition.schema !== null) {
+        db.registerSchema(definition.name, typeSchemas(definition)[definition.name]);
+    }
+
+    /**
+     * The same model, bound to a database.
+     * @param {Database} db
+     * @type Function
+     */
+    Model.withDatabase = function(db) {
+        return defineModel(definition, db);
+    };
+
+    function database() {
+        if (Model.db === null) {
+            throw new Error("Model " + definition.name + " is not bound to a database, see Model.withDatabase");
+        }
+        return Model.db;
+    }
+
+    /**
+     * The design document with the views of the model.
+     * @type DesignDocument
+     */
+    Model.designDocument = function() {
+        return DesignDocument.create(definition.name, function() {
+            var views = this;
+            var isType = "doc.type === " + JSON.stringify(definition.name);
+
+            if (definition.schema !== null) {
+                views.validateSchemas(typeSchemas(definition));
+            }
+            views.view("all", "function(doc) { if (" + isType + ") { emit(doc._id, null); } }");
+            Object.keys(definition.views).forEach(function(viewName) {
+                var view = definition.views[viewName];
+
+                if (typeof view === "string") {
+                    views.view(viewName, "function(doc) { if (" + isType + ") { emit(doc[" + JSON.stringify(view) + "], null); } }");
+                } else {
+                    views.view(viewName, "function(doc) { if (" + isType + ") { (" + view.toString() + ")(doc); } }");
+                }
+            });
+        });
+    };
+
+    /**
+     * Deploy the design document of the model, if it changed.
+     * @returns The result of Database.deployDesign
+     */
+    Model.deploy = function() {
+        return when(database().deployDesign(Model.designDocument()), function(result) {
+            deployed = true;
+            return result;
+        });
+    };
+
+    // Concurrent queries share one deploy, which is tried again by the next
+    // query if it fails.
+    function ensureDeployed() {
+        var failed = false;
+        var deploying;
+
+        if (deployed !== null) {
+            return deployed;
+        }
+
+        deploying = attempt(Model.deploy, null, function(err) {
+            failed = true;
+            deployed = null;
+            throw err;
+        });
+        if (!failed && deployed === null) {
+            deployed = deploying;
+        }
+        return deploying;
+    }
+
+    function instance(doc) {
+        return doc === null || doc.type !== definition.name ? null : new Model(doc);
+    }
+
+    /**
+     * Create and save a document of the model.
+     * @param {Object} attributes
+     * @returns The saved instance
+     */
+    Model.create = function(attributes) {
+        var created = new Model(attributes);
+
+        return when(created.save(), function() {
+            return created;
+        });
+    };
+
+    /**
+     * @param {String} id
+     * @returns The instance, or null if there is no document of the model
+     * with this id
+     */
+    Model.get = function(id) {
+        return when(database().find(id), instance);
+    };
+
+    /**
+     * Query a view of the model.
+     * @param {String} viewName
+     * @param {Object} options View options such as 'key' or 'limit'
+     * @returns Instances for the rows of the view
+     * @type Array
+     */
+    Model.view = function(viewName, options) {
+        var query = util.update({}, options || {});
+
+        query.include_docs = true;
+        return when(ensureDeployed(), function() {
+            return when(database().view(definition.name, viewName, query), function(result) {
+                return (result.rows || []).map(function(row) {
+                    return instance(row.doc);
+                }).filter(function(found) {
+                    return found !== null;
+                });
+            });
+        });
+    };
+
+    /**
+     * All documents of the model.
+     * @param {Object} options View options such as 'limit'
+     * @type Array
+     */
+    Model.all = function(options) {
+        return Model.view("all", options);
+    };
+
+    Model.prototype = {
+        constructor: Model,
+        /**
+         * Save the instance, which gets its '_id' and '_rev'.
+         * @returns true
+         * @throws CouchError if the save fails
+         * @type Boolean
+         */
+        save: function() {
+            this.type = definition.name;
+            return database().save(this, true);
+        },
+        /**
+         * Delete the document of the instance, which gets the '_rev' of the
+         * deletion and '_deleted'.
+         * @returns true, or false if it was changed or already deleted
+         * @type Boolean
+         */
+        remove: function() {
+            return when(database().bulkRemove([this]), function(results) {
+                var error = results[0].error;
+
+                if (error !== undefined && !(error instanceof errors.Conflict || error instanceof errors.NotFound)) {
+                    throw error;
+                }
+                return results[0].ok;
+            });
+        }
+    };
+
+    Object.keys(definition.methods).forEach(function(methodName) {
+        Model.prototype[methodName] = definition.methods[methodName];
+    });
+
+    return Model;
+}
+
+exports.model = model;
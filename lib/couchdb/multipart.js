@@ -0,0 +1,161 @@
+/**
+ * multipart/related bodies as couch uses them to send a document together
+ * with its attachments in one request.
+ *
+ * Bodies are handled as binary strings, one character per byte.
+ */
+
+/**
+ * Turn binary data, a string or anything with 'toArray' such as a ByteString,
+ * into a binary string.
+ * @param data
+ * @type String
+ */
+function binaryString(data) {
+    var bytes, chunks, i;
+
+    if (typeof data === "string") {
+        return data;
+    }
+    if (data === null || data === undefined) {
+        return "";
+    }
+
+    bytes = typeof data.toArray === "function" ? data.toArray() : data;
+    chunks = [];
+    for (i = 0; i < bytes.length; i += 4096) {
+        chunks.push(String.fromCharCode.apply(String, Array.prototype.slice.call(bytes, i, i + 4096)));
+    }
+    return chunks.join("");
+}
+
+function encodeUtf8(string) {
+    return unescape(encodeURIComponent(string));
+}
+
+function decodeUtf8(bytes) {
+    return decodeURIComponent(escape(bytes));
+}
+
+/**
+ * Build the body to save a document along with the data of its attachments.
+ *
+ * @param {String} json Json of the document, whose '_attachments' mark the
+ * attachments to send with 'follows' in the order their data is given
+ * @param {Array} parts Objects with the 'content_type' and 'data' of each
+ * attachment
+ * @param {String} boundary
+ * @returns An object with the 'contentType' header and the 'body'
+ * @type Object
+ */
+function build(json, parts, boundary) {
+    var body = [
+        "--" + boundary,
+        "Content-Type: application/json",
+        "",
+        encodeUtf8(json)
+    ];
+
+    parts.forEach(function(part) {
+        body.push("--" + boundary, "Content-Type: " + part.content_type, "", binaryString(part.data));
+    });
+    body.push("--" + boundary + "--");
+
+    return {
+        contentType: "multipart/related; boundary=\"" + boundary + "\"",
+        body: body.join("\r\n")
+    };
+}
+
+/**
+ * The boundary named in a multipart Content-Type header, or null if the
+ * header is not a multipart one.
+ * @param {String} contentType
+ * @type String
+ */
+function boundaryOf(contentType) {
+    var match = /^multipart\/[^;]+;.*boundary="?([^";]+)"?/i.exec(contentType || "");
+    return match ? match[1] : null;
+}
+
+/**
+ * Split a multipart body into its parts.
+ *
+ * @param {String} body Binary string
+ * @param {String} boundary
+ * @returns Objects with 'headers', keyed by lower case name, and 'body'
+ * @type Array
+ */
+function parse(body, boundary) {
+    var delimiter = "--" + boundary;
+    var sections = binaryString(body).split(delimiter);
+    var parts = [];
+
+    // The first section is the preamble, the one after the closing
+    // delimiter starts with "--".
+    sections.slice(1).some(function(section) {
+        var headerEnd, headers;
+
+        if (section.indexOf("--") === 0) {
+            return true;
+        }
+
+        section = section.replace(/^\r\n/, "").replace(/\r\n$/, "");
+        headerEnd = section.indexOf("\r\n\r\n");
+        headers = {};
+        if (headerEnd === -1) {
+            parts.push({ headers: headers, body: section });
+            return false;
+        }
+        section.slice(0, headerEnd).split("\r\n").forEach(function(line) {
+            var colon = line.indexOf(":");
+            if (colon !== -1) {
+                headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+            }
+        });
+
+        parts.push({ headers: headers, body: section.slice(headerEnd + 4) });
+        return false;
+    });
+
+    return parts;
+}
+
+/**
+ * Read a document and its attachments from a multipart/related response of
+ * couch. The attachments sent along get their binary data as 'body' and are
+ * otherwise kept as stubs, so the document can be saved again as it is.
+ *
+ * @param {String} body Binary string
+ * @param {String} boundary
+ * @type Object
+ */
+function parseDocument(body, boundary) {
+    var parts = parse(body, boundary);
+    var doc = JSON.parse(decodeUtf8(parts[0].body));
+    var attachments = doc._attachments || {};
+    var following = Object.keys(attachments).filter(function(name) {
+        return attachments[name].follows;
+    });
+
+    parts.slice(1).forEach(function(part, i) {
+        var disposition = /filename="?([^"]+)"?/.exec(part.headers["content-disposition"] || "");
+        var name = disposition ? decodeUtf8(disposition[1]) : following[i];
+        var attachment = attachments[name];
+
+        if (attachment === undefined) {
+            return;
+        }
+        delete attachment.follows;
+        attachment.stub = true;
+        attachment.body = part.body;
+    });
+
+    return doc;
+}
+
+exports.binaryString = binaryString;
+exports.build = build;
+exports.boundaryOf = boundaryOf;
+exports.parse = parse;
+exports.parseDocument = parseDocument;
@@ -0,0 +1,107 @@
+var promise = require("./promise");
+
+/**
+ * Walks through all rows of a view or _all_docs in batches of a fixed size.
+ *
+ * Rather than paging with 'skip', which makes couch read and throw away every
+ * skipped row, each batch asks for one row more than it returns and starts the
+ * next batch at that row's key and document id ('startkey' and
+ * 'startkey_docid'), so every batch is as fast as the first one.
+ *
+ * In asynchronous mode 'next' and 'forEach' return promises.
+ *
+ * @param {ViewQuery} query Query for a view or _all_docs. It may use a range
+ * and 'descending', but not 'keys', 'skip' or 'limit'.
+ * @param {Number} batchSize Number of rows per batch, defaults to 100
+ */
+function Paginator(query, batchSize) {
+    var options = query.toOptions();
+
+    if (query.target.type === "list") {
+        throw new Error("Argument error: lists can not be paginated");
+    }
+    ["keys", "skip", "limit"].forEach(function(name) {
+        if (options[name] !== undefined) {
+            throw new Error("Argument error: a paginated query can not use '" + name + "'");
+        }
+    });
+
+    this.query = query;
+    this.batchSize = batchSize === undefined ? 100 : batchSize;
+    this.cursor = null;
+    this.done = false;
+
+    if (typeof this.batchSize !== "number" || this.batchSize < 1) {
+        throw new Error("Argument error: 'batchSize' must be a positive number");
+    }
+}
+
+Paginator.prototype = {
+    /**
+     * Whether there are more rows to fetch.
+     * @type Boolean
+     */
+    hasNext: function() {
+        return !this.done;
+    },
+    /**
+     * Fetch the next batch of rows.
+     * @returns The rows, an empty array once all rows have been returned
+     * @type Array
+     */
+    next: function() {
+        var self = this;
+        var options;
+
+        if (this.done) {
+            return [];
+        }
+
+        options = this.query.toOptions();
+        options.limit = this.batchSize + 1;
+        if (this.cursor !== null) {
+            options.startkey = this.cursor.key;
+            // Rows of reduced views have no id, their keys are unique.
+            if (this.cursor.id !== undefined) {
+                options.startkey_docid = this.cursor.id;
+            }
+        }
+
+        return promise.when(this.query._run(options), function(result) {
+            var rows = result.rows || [];
+            var extra;
+
+            if (rows.length > self.batchSize) {
+                extra = rows.pop();
+                self.cursor = { key: extra.key, id: extra.id };
+            } else {
+                self.done = true;
+            }
+
+            return rows;
+        });
+    },
+    /**
+     * Call 'fn' with each remaining row, one batch at a time.
+     * @param {Function} fn Called with the row and its index
+     */
+    forEach: function(fn) {
+        var self = this;
+        var index = 0;
+
+        return promise.loop(function() {
+            if (!self.hasNext()) {
+                return false;
+            }
+
+            return promise.when(self.next(), function(rows) {
+                rows.forEach(function(row) {
+                    fn(row, index);
+                    index += 1;
+                });
+            });
+        });
+    }
+};
+
+exports.Paginator = Paginator;
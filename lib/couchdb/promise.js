@@ -0,0 +1,368 @@
+/**
+ * Minimal promises, used by the asynchronous mode of CouchServer and Database.
+ *
+ * The helpers in this module accept plain values as well as promises so that
+ * the same code can serve both the synchronous and the asynchronous mode: in
+ * synchronous mode callbacks run immediately and errors are thrown, in
+ * asynchronous mode they run once the promise is settled and errors reject
+ * the returned promise.
+ */
+
+function Promise() {
+    this._state = "pending";
+    this._value = undefined;
+    this._listeners = [];
+}
+
+Promise.prototype = {
+    /**
+     * Register callbacks for when the promise is resolved or rejected.
+     * @param {Function} callback Called with the value
+     * @param {Function} errback Called with the error
+     * @return A promise for the return value of the callback that was called
+     * @type Promise
+     */
+    then: function(callback, errback) {
+        var self = this;
+        var deferred = defer();
+
+        function notify() {
+            var handler = self._state === "resolved" ? callback : errback;
+
+            if (typeof handler !== "function") {
+                if (self._state === "resolved") {
+                    deferred.resolve(self._value);
+                } else {
+                    deferred.reject(self._value);
+                }
+                return;
+            }
+
+            try {
+                deferred.resolve(handler(self._value));
+            } catch (e) {
+                deferred.reject(e);
+            }
+        }
+
+        if (this._state === "pending") {
+            this._listeners.push(notify);
+        } else {
+            notify();
+        }
+
+        return deferred.promise;
+    },
+    /**
+     * Call a node style callback, 'callback(err, value)', when the promise is
+     * settled.
+     * @param {Function} callback
+     * @return this promise
+     * @type Promise
+     */
+    nodeify: function(callback) {
+        this.then(function(value) {
+            callback(null, value);
+        }, function(err) {
+            callback(err);
+        });
+        return this;
+    },
+    _settle: function(state, value) {
+        var listeners = this._listeners;
+
+        if (this._state !== "pending") {
+            return;
+        }
+
+        this._state = state;
+        this._value = value;
+        this._listeners = [];
+        listeners.forEach(function(listener) {
+            listener();
+        });
+    }
+};
+
+/**
+ * Create a deferred: a promise together with the functions to settle it.
+ * @return An object with 'promise', 'resolve' and 'reject' properties.
+ * @type Object
+ */
+function defer() {
+    var promise = new Promise();
+
+    return {
+        promise: promise,
+        resolve: function(value) {
+            if (isPromise(value)) {
+                value.then(function(v) {
+                    promise._settle("resolved", v);
+                }, function(err) {
+                    promise._settle("rejected", err);
+                });
+            } else {
+                promise._settle("resolved", value);
+            }
+        },
+        reject: function(err) {
+            promise._settle("rejected", err);
+        }
+    };
+}
+
+function isPromise(value) {
+    return value !== null && typeof value === "object" && typeof value.then === "function";
+}
+
+/**
+ * Call 'callback' with a value, or with the value of a promise once it is
+ * resolved.
+ * @param valueOrPromise
+ * @param {Function} callback
+ * @param {Function} errback Called if a promise is rejected
+ * @return The return value of the callback, or a promise for it
+ */
+function when(valueOrPromise, callback, errback) {
+    if (isPromise(valueOrPromise)) {
+        return valueOrPromise.then(callback, errback);
+    }
+    return callback ? callback(valueOrPromise) : valueOrPromise;
+}
+
+/**
+ * Like 'when', for a function which either throws or returns a value or a
+ * promise. 'errback' is called for an error thrown by 'fn' or a rejected
+ * promise returned by it.
+ * @param {Function} fn
+ * @param {Function} callback
+ * @param {Function} errback
+ */
+function attempt(fn, callback, errback) {
+    var value;
+
+    try {
+        value = fn();
+    } catch (e) {
+        if (errback) {
+            return errback(e);
+        }
+        throw e;
+    }
+
+    return when(value, callback, errback);
+}
+
+/**
+ * Wait for an array of values or promises.
+ * @param {Array} values
+ * @return The array of values, or a promise for it if any of them is a promise
+ */
+function all(values) {
+    var results = [];
+    var deferred = values.some(isPromise) ? defer() : null;
+    // One more than the promises still pending while the loop registers
+    // them, so that promises which have already settled can not resolve the
+    // result before the later values are in.
+    var pending = 1;
+
+    function settled() {
+        pending -= 1;
+        if (pending === 0) {
+            deferred.resolve(results);
+        }
+    }
+
+    values.forEach(function(value, i) {
+        if (!isPromise(value)) {
+            results[i] = value;
+            return;
+        }
+
+        pending += 1;
+        value.then(function(v) {
+            results[i] = v;
+            settled();
+        }, deferred.reject);
+    });
+
+    if (deferred === null) {
+        return results;
+    }
+    settled();
+    return deferred.promise;
+}
+
+/**
+ * Call 'body' over and over until it returns, or resolves to, false.
+ *
+ * Iterations run one after the other in a single loop for as long as 'body'
+ * returns values or promises which are already settled, and continue from
+ * the callback of the first pending one, so that neither the stack nor a
+ * chain of promises grows with the number of iterations.
+ *
+ * @param {Function} body
+ * @return undefined, or a promise for when the loop is done
+ */
+function loop(body) {
+    var deferred = null;
+
+    function run() {
+        var result;
+
+        while (true) {
+            try {
+                result = body();
+            } catch (e) {
+                if (deferred === null) {
+                    throw e;
+                }
+                deferred.reject(e);
+                return;
+            }
+
+            if (result === false) {
+                if (deferred !== null) {
+                    deferred.resolve(undefined);
+                }
+                return;
+            }
+            if (isPromise(result)) {
+                deferred = deferred || defer();
+                if (!settledWithMore(result)) {
+                    return;
+                }
+            }
+        }
+    }
+
+    // Whether the promise of an iteration has already resolved to anything
+    // but false. Otherwise the loop is either done or continues from the
+    // callback once the promise is settled.
+    function settledWithMore(result) {
+        var state = "pending";
+
+        result.then(function(more) {
+            if (more === false) {
+                state = "done";
+                deferred.resolve(undefined);
+            } else if (state === "waiting") {
+                run();
+            } else {
+                state = "more";
+            }
+        }, function(err) {
+            state = "done";
+            deferred.reject(err);
+        });
+
+        if (state === "pending") {
+            state = "waiting";
+            return false;
+        }
+        return state === "more";
+    }
+
+    run();
+    return deferred === null ? undefined : deferred.promise;
+}
+
+/**
+ * Wait for 'ms' milliseconds. In synchronous mode this blocks, in
+ * asynchronous mode it returns a promise which is resolved afterwards.
+ * @param {Number} ms
+ * @param {Boolean} async
+ * @return undefined, or a promise for when the time is up
+ */
+function delay(ms, async) {
+    var deferred;
+
+    if (!async) {
+        require("os").sleep(ms / 1000);
+        return undefined;
+    }
+
+    deferred = defer();
+    setTimeout(function() {
+        deferred.resolve();
+    }, ms);
+    return deferred.promise;
+}
+
+/**
+ * Create an object inheriting from 'api' whose public methods also accept a
+ * node style callback, 'callback(err, value)', as their last argument.
+ * Without a callback, an error thrown by a method is returned as a rejected
+ * promise.
+ *
+ * Methods which take functions of their own are listed in
+ * 'api._functionArguments', by name, with the position of their last function
+ * argument; for those a function after that position is the callback, e.g.
+ * 'db.modify(id, fn, callback)' or 'db.modify(id, fn, options, callback)'.
+ *
+ * @param {Object} api
+ * @return Object
+ */
+function withCallbacks(api) {
+    var wrapped = Object.create(api);
+    var functionArguments = api._functionArguments || {};
+    var name;
+
+    for (name in api) {
+        if (typeof api[name] === "function" && name.charAt(0) !== "_") {
+            wrapped[name] = acceptCallback(api[name],
+                functionArguments.hasOwnProperty(name) ? functionArguments[name] : 0);
+        }
+    }
+
+    return wrapped;
+}
+
+function acceptCallback(method, lastFunctionArgument) {
+    return function() {
+        var args = Array.prototype.slice.call(arguments);
+        var callback = null;
+        var result, deferred;
+
+        if (typeof args[args.length - 1] === "function" && args.length > lastFunctionArgument) {
+            callback = args.pop();
+        }
+
+        if (callback === null) {
+            // Errors, even those in the arguments, reject the promise so
+            // that callers only have to handle them in one place.
+            try {
+                return method.apply(this, args);
+            } catch (e) {
+                deferred = defer();
+                deferred.reject(e);
+                return deferred.promise;
+            }
+        }
+
+        try {
+            result = method.apply(this, args);
+        } catch (e) {
+            callback(e);
+            return undefined;
+        }
+
+        when(result, function(value) {
+            callback(null, value);
+        }, function(err) {
+            callback(err);
+        });
+
+        return result;
+    };
+}
+
+exports.Promise = Promise;
+exports.defer = defer;
+exports.isPromise = isPromise;
+exports.when = when;
+exports.attempt = attempt;
+exports.all = all;
+exports.loop = loop;
+exports.delay = delay;
+exports.withCallbacks = withCallbacks;
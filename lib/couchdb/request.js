@@ -0,0 +1,117 @@
+var promise = require("./promise");
+var errors = require("./errors");
+
+var CLIENT_METHODS = {
+    "GET": "get",
+    "PUT": "put",
+    "POST": "post",
+    "DELETE": "del"
+};
+
+/**
+ * Make a request to couch with an http client.
+ *
+ * In synchronous mode this returns the response and throws a CouchError if
+ * the request fails. In asynchronous mode it returns a promise for the
+ * response which is rejected with the CouchError if the request fails.
+ *
+ * @param {HttpClient} httpClient Client to make the request with
+ * @param {String} verb Http verb
+ * @param {String} uri
+ * @param {Object} options Any of 'data', 'headers', 'dataType' and 'binary' as
+ * understood by HttpClient. Set 'response' to get an object with 'data',
+ * 'status' and 'getResponseHeader' properties instead of only the data.
+ * @param {Boolean} async Whether to make an asynchronous request
+ * @returns The response data or a promise for it
+ */
+exports.request = function(httpClient, verb, uri, options, async) {
+    var opts = {};
+    var deferred = async ? promise.defer() : null;
+    var data, error, xhr;
+    var name;
+
+    options = options || {};
+    for (name in options) {
+        if (options.hasOwnProperty(name)) {
+            opts[name] = options[name];
+        }
+    }
+
+    opts.async = !!async;
+    opts.headers = (opts.headers || []).slice();
+    if (opts.dataType === undefined) {
+        opts.dataType = "json";
+    }
+    if (typeof opts.data === "string" && !opts.binary && !hasHeader(opts.headers, "Content-Type")) {
+        opts.headers.push({ label: "Content-Type", value: "application/json" });
+    }
+
+    opts.success = function(result) {
+        data = result;
+    };
+    opts.error = function(req, responseText) {
+        error = errors.fromResponse(req.status, responseText);
+    };
+    opts.complete = function(req) {
+        xhr = req;
+        if (async) {
+            if (error) {
+                deferred.reject(error);
+            } else {
+                deferred.resolve(response());
+            }
+        }
+    };
+
+    function response() {
+        var status = xhr ? xhr.status : undefined;
+
+        if (status === 304) {
+            data = null;
+        } else if (opts.dataType === "text" && data !== undefined && data !== null) {
+            data = String(data);
+        }
+
+        if (!options.response) {
+            return data;
+        }
+
+        return {
+            data: data,
+            status: status,
+            getResponseHeader: function(header) {
+                return xhr ? xhr.getResponseHeader(header) : null;
+            }
+        };
+    }
+
+    try {
+        if (CLIENT_METHODS[verb.toUpperCase()]) {
+            httpClient[CLIENT_METHODS[verb.toUpperCase()]](uri, opts);
+        } else {
+            httpClient._request(verb.toUpperCase(), uri, opts);
+        }
+    } catch (e) {
+        if (!(e instanceof errors.CouchError)) {
+            e = new errors.NetworkError(0, { error: "network_error", reason: String(e.message || e) });
+        }
+        if (!async) {
+            throw e;
+        }
+        deferred.reject(e);
+    }
+
+    if (async) {
+        return deferred.promise;
+    }
+    if (error) {
+        throw error;
+    }
+    return response();
+};
+
+function hasHeader(headers, label) {
+    return headers.some(function(header) {
+        return header.label.toLowerCase() === label.toLowerCase();
+    });
+}
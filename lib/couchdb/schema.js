@@ -0,0 +1,205 @@
+/**
+ * Validation of documents against JSON Schemas, by the 'type' of the
+ * document.
+ *
+ * The same validator runs on the client, before Database.save sends a
+ * document, and on the server, compiled into a validate_doc_update function
+ * by 'compile', so both enforce identical rules.
+ *
+ * Supported keywords: type, enum, const, properties, required,
+ * additionalProperties, items, minItems, maxItems, uniqueItems, minLength,
+ * maxLength, pattern, minimum, maximum, exclusiveMinimum and exclusiveMaximum.
+ */
+
+/**
+ * Validate a value against a schema.
+ *
+ * This function is also sent to couch as source code, so it must not use
+ * anything outside of its own body.
+ *
+ * @param {Object} schema
+ * @param value
+ * @returns Objects with the 'path' of each invalid value, e.g. "lines[2].amount",
+ * and a 'message'. Empty if the value is valid.
+ * @type Array
+ */
+function validate(schema, value) {
+    var errors = [];
+
+    function typeOf(v) {
+        if (v === null) {
+            return "null";
+        }
+        if (Object.prototype.toString.call(v) === "[object Array]") {
+            return "array";
+        }
+        return typeof v;
+    }
+
+    function hasType(v, type) {
+        var actual = typeOf(v);
+
+        if (type === "integer") {
+            return actual === "number" && Math.floor(v) === v;
+        }
+        return actual === type;
+    }
+
+    function same(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    function any(list, fn) {
+        for (var i = 0; i < list.length; i++) {
+            if (fn(list[i])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function child(path, key) {
+        if (typeof key === "number") {
+            return path + "[" + key + "]";
+        }
+        if (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key)) {
+            return path === "" ? key : path + "." + key;
+        }
+        return path + "[" + JSON.stringify(key) + "]";
+    }
+
+    function fail(path, message) {
+        errors.push({ path: path === "" ? "(document)" : path, message: message });
+    }
+
+    function check(schema, v, path) {
+        var types, i, key, seen;
+
+        if (schema.type !== undefined) {
+            types = typeOf(schema.type) === "array" ? schema.type : [schema.type];
+            if (!any(types, function(type) { return hasType(v, type); })) {
+                fail(path, "must be " + types.join(" or ") + ", not " + typeOf(v));
+                return;
+            }
+        }
+        if (schema["enum"] !== undefined) {
+            if (!any(schema["enum"], function(allowed) { return same(allowed, v); })) {
+                fail(path, "must be one of " + JSON.stringify(schema["enum"]));
+            }
+        }
+        if (schema["const"] !== undefined && !same(schema["const"], v)) {
+            fail(path, "must be " + JSON.stringify(schema["const"]));
+        }
+
+        if (typeOf(v) === "object") {
+            for (i = 0; schema.required && i < schema.required.length; i++) {
+                if (v[schema.required[i]] === undefined) {
+                    fail(child(path, schema.required[i]), "is required");
+                }
+            }
+            for (key in v) {
+                if (!v.hasOwnProperty(key) || v[key] === undefined) {
+                    continue;
+                }
+                if (schema.properties && schema.properties.hasOwnProperty(key)) {
+                    check(schema.properties[key], v[key], child(path, key));
+                } else if (schema.additionalProperties === false && !(path === "" && key.charAt(0) === "_")) {
+                    fail(child(path, key), "is not allowed");
+                } else if (typeOf(schema.additionalProperties) === "object") {
+                    check(schema.additionalProperties, v[key], child(path, key));
+                }
+            }
+        }
+
+        if (typeOf(v) === "array") {
+            if (schema.minItems !== undefined && v.length < schema.minItems) {
+                fail(path, "must have at least " + schema.minItems + " items");
+            }
+            if (schema.maxItems !== undefined && v.length > schema.maxItems) {
+                fail(path, "must have at most " + schema.maxItems + " items");
+            }
+            if (schema.uniqueItems) {
+                seen = {};
+                for (i = 0; i < v.length; i++) {
+                    if (seen.hasOwnProperty(JSON.stringify(v[i]))) {
+                        fail(child(path, i), "is a duplicate");
+                    }
+                    seen[JSON.stringify(v[i])] = true;
+                }
+            }
+            for (i = 0; schema.items && i < v.length; i++) {
+                check(schema.items, v[i], child(path, i));
+            }
+        }
+
+        if (typeOf(v) === "string") {
+            if (schema.minLength !== undefined && v.length < schema.minLength) {
+                fail(path, "must be at least " + schema.minLength + " characters long");
+            }
+            if (schema.maxLength !== undefined && v.length > schema.maxLength) {
+                fail(path, "must be at most " + schema.maxLength + " characters long");
+            }
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(v)) {
+                fail(path, "must match " + schema.pattern);
+            }
+        }
+
+        if (typeOf(v) === "number") {
+            if (schema.minimum !== undefined && v < schema.minimum) {
+                fail(path, "must be at least " + schema.minimum);
+            }
+            if (schema.maximum !== undefined && v > schema.maximum) {
+                fail(path, "must be at most " + schema.maximum);
+            }
+            if (schema.exclusiveMinimum !== undefined && v <= schema.exclusiveMinimum) {
+                fail(path, "must be more than " + schema.exclusiveMinimum);
+            }
+            if (schema.exclusiveMaximum !== undefined && v >= schema.exclusiveMaximum) {
+                fail(path, "must be less than " + schema.exclusiveMaximum);
+            }
+        }
+    }
+
+    check(schema, value, "");
+    return errors;
+}
+
+/**
+ * Turn validation errors into one readable message.
+ * @param {Array} errors As returned by validate
+ * @type String
+ */
+function describe(errors) {
+    return errors.map(function(error) {
+        return error.path + " " + error.message;
+    }).join("; ");
+}
+
+/**
+ * Compile schemas into the source of a validate_doc_update function, which
+ * rejects documents of a type that do not match its schema. Deleted
+ * documents and documents of other types are let through.
+ *
+ * @param {Object} schemasByType Schemas by the 'type' of the documents
+ * @type String
+ */
+function compile(schemasByType) {
+    return [
+        "function(newDoc, oldDoc, userCtx) {",
+        "    var schemas = " + JSON.stringify(schemasByType) + ";",
+        "    var validate = " + validate.toString() + ";",
+        "    var errors;",
+        "    if (newDoc._deleted || !schemas.hasOwnProperty(newDoc.type)) {",
+        "        return;",
+        "    }",
+        "    errors = validate(schemas[newDoc.type], newDoc);",
+        "    if (errors.length > 0) {",
+        "        throw({ forbidden: (" + describe.toString() + ")(errors) });",
+        "    }",
+        "}"
+    ].join("\n");
+}
+
+exports.validate = validate;
+exports.describe = describe;
+exports.compile = compile;
@@ -0,0 +1,165 @@
+var promise = require("./promise");
+var errors = require("./errors");
+
+var when = promise.when;
+var attempt = promise.attempt;
+
+var USER_PREFIX = "org.couchdb.user:";
+
+/**
+ * Accounts in the _users database of a couch server, available as
+ * 'server.users'. Managing other accounts requires an admin connection.
+ *
+ * @param {CouchServer} server
+ */
+function Users(server) {
+    this.server = server;
+}
+
+/**
+ * Id of the _users document of an account.
+ * @param {String} name User name
+ * @type String
+ */
+Users.id = function(name) {
+    return USER_PREFIX + name;
+};
+
+Users.prototype = {
+    _uri: function(name) {
+        return this.server.uri + "_users/" + encodeURIComponent(Users.id(name));
+    },
+    _request: function(verb, uri, options) {
+        return this.server._request(verb, uri, options);
+    },
+    /**
+     * Create an account.
+     * @param {String} name User name
+     * @param {String} password Couch stores only a hash of it
+     * @param {Array} roles Roles of the user, defaults to none
+     * @returns The user document, without the password
+     * @throws Conflict if the user already exists
+     * @type Object
+     */
+    create: function(name, password, roles) {
+        var doc;
+
+        if (name === undefined || name === null || name === "") {
+            throw new Error("Argument Expected: name");
+        }
+        if (password === undefined || password === null || password === "") {
+            throw new Error("Argument Expected: password");
+        }
+
+        doc = {
+            _id: Users.id(name),
+            name: name,
+            type: "user",
+            roles: roles || [],
+            password: password
+        };
+
+        return when(this._request("PUT", this._uri(name), { data: JSON.stringify(doc) }), function(data) {
+            delete doc.password;
+            doc._rev = data.rev;
+            return doc;
+        });
+    },
+    /**
+     * @param {String} name User name
+     * @returns The user document, or null if there is no such user
+     * @type Object
+     */
+    get: function(name) {
+        var self = this;
+
+        return attempt(function() {
+            return self._request("GET", self._uri(name));
+        }, null, function(err) {
+            if (err instanceof errors.NotFound) {
+                return null;
+            }
+            throw err;
+        });
+    },
+    /**
+     * @returns The documents of all users
+     * @type Array
+     */
+    list: function() {
+        var query = "?include_docs=true" +
+            "&startkey=" + encodeURIComponent(JSON.stringify(USER_PREFIX)) +
+            "&endkey=" + encodeURIComponent(JSON.stringify(USER_PREFIX + "\ufff0"));
+
+        return when(this._request("GET", this.server.uri + "_users/_all_docs" + query), function(data) {
+            return data.rows.map(function(row) {
+                return row.doc;
+            });
+        });
+    },
+    /**
+     * @param {String} name User name
+     * @param {String} password The new password
+     * @returns Whether the user exists
+     * @type Boolean
+     */
+    changePassword: function(name, password) {
+        if (password === undefined || password === null || password === "") {
+            throw new Error("Argument Expected: password");
+        }
+
+        return this._modify(name, function(doc) {
+            doc.password = password;
+        });
+    },
+    /**
+     * Replace the roles of a user.
+     * @param {String} name User name
+     * @param {Array} roles
+     * @returns Whether the user exists
+     * @type Boolean
+     */
+    setRoles: function(name, roles) {
+        return this._modify(name, function(doc) {
+            doc.roles = roles || [];
+        });
+    },
+    /**
+     * Delete an account.
+     * @param {String} name User name
+     * @returns Whether the user existed
+     * @type Boolean
+     */
+    remove: function(name) {
+        var self = this;
+
+        return when(this.get(name), function(doc) {
+            if (doc === null) {
+                return false;
+            }
+            return when(self._request("DELETE", self._uri(name) + "?rev=" + doc._rev), function() {
+                return true;
+            });
+        });
+    },
+    _modify: function(name, fn) {
+        var self = this;
+
+        return when(this.get(name), function(doc) {
+            if (doc === null) {
+                return false;
+            }
+            fn(doc);
+            return when(self._request("PUT", self._uri(name), { data: JSON.stringify(doc) }), function() {
+                return true;
+            });
+        });
+    }
+};
+
+/**
+ * Same as 'remove'.
+ */
+Users.prototype["delete"] = Users.prototype.remove;
+
+exports.Users = Users;
@@ -0,0 +1,251 @@
+var util = require("util");
+var Paginator = require("./paginator").Paginator;
+
+var STALE_VALUES = ["ok", "update_after"];
+var UPDATE_VALUES = [true, false, "lazy"];
+
+/**
+ * Chainable query for a view, _all_docs or a list. Every option is checked
+ * when it is set and the query is sent by 'run', e.g.
+ *
+ *     db.viewQuery("ddoc", "by_x").range(a, b).descending().groupLevel(2).limit(50).run()
+ *
+ * View Query Reference:
+ * http://wiki.apache.org/couchdb/HTTP_view_API#Querying_Options
+ *
+ * @param {Database} db Database to query
+ * @param {Object} target What to query: 'type' is "view", "all_docs" or
+ * "list", with 'designDoc', 'view' and 'list' names as needed.
+ */
+function ViewQuery(db, target) {
+    this.db = db;
+    this.target = target;
+    this.options = {};
+}
+
+function checkInteger(name, value) {
+    if (typeof value !== "number" || value < 0 || Math.floor(value) !== value) {
+        throw new Error("Argument error: '" + name + "' must be a non-negative integer");
+    }
+}
+
+function checkBoolean(name, value) {
+    if (typeof value !== "boolean") {
+        throw new Error("Argument error: '" + name + "' must be true or false");
+    }
+}
+
+ViewQuery.prototype = {
+    /**
+     * Set a query option by its couch name, without any checks.
+     * @param {String} name
+     * @param value
+     */
+    option: function(name, value) {
+        this.options[name] = value;
+        return this;
+    },
+    /**
+     * Only return rows with this key.
+     */
+    key: function(key) {
+        if (this.options.keys !== undefined) {
+            throw new Error("Argument error: 'key' can not be combined with 'keys'");
+        }
+        return this.option("key", key);
+    },
+    /**
+     * Only return rows with these keys, in this order.
+     * @param {Array} keys
+     */
+    keys: function(keys) {
+        if (!util.isArrayLike(keys)) {
+            throw new Error("Argument error: 'keys' must be an array");
+        }
+        if (this.options.key !== undefined || this.options.startkey !== undefined || this.options.endkey !== undefined) {
+            throw new Error("Argument error: 'keys' can not be combined with 'key' or a range");
+        }
+        return this.option("keys", keys);
+    },
+    /**
+     * Only return rows from 'startKey' up to 'endKey'. In descending order
+     * 'startKey' is the higher key.
+     */
+    range: function(startKey, endKey) {
+        return this.startKey(startKey).endKey(endKey);
+    },
+    /**
+     * First key to return, optionally with the id of the first document for
+     * that key.
+     */
+    startKey: function(key, docId) {
+        if (this.options.keys !== undefined) {
+            throw new Error("Argument error: a range can not be combined with 'keys'");
+        }
+        this.option("startkey", key);
+        return docId === undefined ? this : this.option("startkey_docid", docId);
+    },
+    /**
+     * Last key to return, optionally with the id of the last document for
+     * that key.
+     */
+    endKey: function(key, docId) {
+        if (this.options.keys !== undefined) {
+            throw new Error("Argument error: a range can not be combined with 'keys'");
+        }
+        this.option("endkey", key);
+        return docId === undefined ? this : this.option("endkey_docid", docId);
+    },
+    /**
+     * Whether the row with the end key is included, defaults to true.
+     */
+    inclusiveEnd: function(inclusive) {
+        inclusive = inclusive === undefined ? true : inclusive;
+        checkBoolean("inclusive_end", inclusive);
+        return this.option("inclusive_end", inclusive);
+    },
+    /**
+     * Return rows in descending key order.
+     */
+    descending: function(descending) {
+        descending = descending === undefined ? true : descending;
+        checkBoolean("descending", descending);
+        return this.option("descending", descending);
+    },
+    limit: function(limit) {
+        checkInteger("limit", limit);
+        return this.option("limit", limit);
+    },
+    skip: function(skip) {
+        checkInteger("skip", skip);
+        return this.option("skip", skip);
+    },
+    /**
+     * Whether to run the reduce function of the view, defaults to true.
+     */
+    reduce: function(reduce) {
+        reduce = reduce === undefined ? true : reduce;
+        checkBoolean("reduce", reduce);
+        if (!reduce && (this.options.group !== undefined || this.options.group_level !== undefined)) {
+            throw new Error("Argument error: grouping requires 'reduce'");
+        }
+        return this.option("reduce", reduce);
+    },
+    /**
+     * Group reduced rows by their whole key.
+     */
+    group: function(group) {
+        group = group === undefined ? true : group;
+        checkBoolean("group", group);
+        if (this.options.reduce === false) {
+            throw new Error("Argument error: grouping requires 'reduce'");
+        }
+        return this.option("group", group);
+    },
+    /**
+     * Group reduced rows by the first 'level' elements of array keys.
+     */
+    groupLevel: function(level) {
+        checkInteger("group_level", level);
+        if (this.options.reduce === false) {
+            throw new Error("Argument error: grouping requires 'reduce'");
+        }
+        return this.option("group_level", level);
+    },
+    /**
+     * Include the document of each row. Only allowed without reduce, so a
+     * reduce view also needs reduce(false).
+     */
+    includeDocs: function(include) {
+        include = include === undefined ? true : include;
+        checkBoolean("include_docs", include);
+        if (include && (this.options.group !== undefined || this.options.group_level !== undefined)) {
+            throw new Error("Argument error: 'include_docs' can not be combined with grouping");
+        }
+        return this.option("include_docs", include);
+    },
+    /**
+     * Include the conflicting revisions of each included document.
+     */
+    conflicts: function(conflicts) {
+        conflicts = conflicts === undefined ? true : conflicts;
+        checkBoolean("conflicts", conflicts);
+        return this.option("conflicts", conflicts);
+    },
+    /**
+     * Allow a stale index: "ok" or "update_after". Older couch versions only
+     * understand 'stale', newer ones prefer 'update'.
+     */
+    stale: function(stale) {
+        if (STALE_VALUES.indexOf(stale) === -1) {
+            throw new Error("Argument error: 'stale' must be one of " + STALE_VALUES.join(", "));
+        }
+        if (this.options.update !== undefined) {
+            throw new Error("Argument error: 'stale' can not be combined with 'update'");
+        }
+        return this.option("stale", stale);
+    },
+    /**
+     * Whether to update the index before answering: true, false or "lazy".
+     */
+    update: function(update) {
+        if (UPDATE_VALUES.indexOf(update) === -1) {
+            throw new Error("Argument error: 'update' must be one of true, false, lazy");
+        }
+        if (this.options.stale !== undefined) {
+            throw new Error("Argument error: 'update' can not be combined with 'stale'");
+        }
+        return this.option("update", update);
+    },
+    /**
+     * Include the update sequence of the index in the result.
+     */
+    updateSeq: function(updateSeq) {
+        updateSeq = updateSeq === undefined ? true : updateSeq;
+        checkBoolean("update_seq", updateSeq);
+        return this.option("update_seq", updateSeq);
+    },
+    /**
+     * Only return rows whose ETag differs from this one.
+     */
+    etag: function(etag) {
+        return this.option("etag", etag);
+    },
+    /**
+     * The options of this query as passed to Database.view, allDocs and list.
+     * @type Object
+     */
+    toOptions: function() {
+        return util.deepCopy(this.options);
+    },
+    /**
+     * Send the query.
+     * @returns For views and _all_docs the same as Database.view, for lists the
+     * same as Database.list.
+     */
+    run: function() {
+        return this._run(this.toOptions());
+    },
+    /**
+     * Walk through all rows of this query in batches, see couchdb/paginator.
+     * @param {Number} batchSize Number of rows per batch
+     * @type Paginator
+     */
+    paginate: function(batchSize) {
+        return new Paginator(this, batchSize);
+    },
+    _run: function(options) {
+        var target = this.target;
+
+        if (target.type === "view") {
+            return this.db.view(target.designDoc, target.view, options);
+        } else if (target.type === "all_docs") {
+            return this.db._queryView("_all_docs", options);
+        } else if (target.type === "list") {
+            return this.db.list(target.designDoc, target.list, target.view, options);
+        }
+        throw new Error("Unknown query type: " + target.type);
+    }
+};
+
+exports.ViewQuery = ViewQuery;
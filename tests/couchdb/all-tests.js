@@ -2,4 +2,25 @@ exports.testServer = require("./server.tests");
 exports.testDatabase = require("./database/all-tests");
 exports.testAttachments = require("./attachment_tests");
 exports.testDesignDocument = require("./design_document_tests");
+exports.testChanges = require("./changes_tests");
+exports.testReplication = require("./replication_tests");
+exports.testAsync = require("./async_tests");
+exports.testErrors = require("./errors_tests");
+exports.testConflicts = require("./conflict_tests");
+exports.testRevisions = require("./revision_tests");
+exports.testQuery = require("./query_tests");
+exports.testViewQuery = require("./view_query_tests");
+exports.testPaginator = require("./paginator_tests");
+exports.testDeployDesign = require("./deploy_design_tests");
+exports.testHandlers = require("./handler_tests");
+exports.testMultipart = require("./multipart_tests");
+exports.testMaintenance = require("./maintenance_tests");
+exports.testUsers = require("./users_tests");
+exports.testSecurity = require("./security_tests");
+exports.testLocalDocuments = require("./local_documents_tests");
+exports.testPurge = require("./purge_tests");
+exports.testBulk = require("./bulk_tests");
+exports.testCache = require("./cache_tests");
+exports.testModel = require("./model_tests");
+exports.testSchema = require("./schema_tests");
 
@@ -0,0 +1,165 @@
+var couch = require("couchdb");
+var assert = require("test/assert");
+var promise = require("couchdb/promise");
+
+// An http client which answers every request right away, whatever the mode.
+function stubClient(responses) {
+    var respond = function(uri, options) {
+        var path = uri.replace("http://localhost:5984/", "");
+        options.success(responses[path]);
+        options.complete({ status: 200, getResponseHeader: function() { return null; } }, "200");
+    };
+    return { get: respond, put: respond, post: respond, del: respond };
+}
+
+var responses = {
+    "": { couchdb: "Welcome", version: "0.10.0" },
+    "_all_dbs": ["tests"],
+    "tests/abc": { _id: "abc", _rev: "1-123" }
+};
+
+exports["test connect returns a promise in async mode"] = function() {
+    var server;
+    couch.connect("http://localhost:5984", { httpClient: stubClient(responses), async: true }).then(function(s) {
+        server = s;
+    });
+
+    assert.isTrue(server !== undefined, "Should have resolved the server");
+    assert.isEqual("0.10.0", server.version);
+};
+
+exports["test database operations return promises in async mode"] = function() {
+    var doc;
+    couch.connect("http://localhost:5984", { httpClient: stubClient(responses), async: true }).then(function(server) {
+        return server.database("tests");
+    }).then(function(db) {
+        return db.find("abc");
+    }).then(function(found) {
+        doc = found;
+    });
+
+    assert.isEqual("1-123", doc._rev);
+};
+
+exports["test database operations accept node style callbacks in async mode"] = function() {
+    var result = {};
+    couch.connect("http://localhost:5984", { httpClient: stubClient(responses), async: true }).then(function(server) {
+        server.database("tests", true, function(err, db) {
+            db.find("abc", function(err, doc) {
+                result.err = err;
+                result.doc = doc;
+            });
+        });
+    });
+
+    assert.isEqual(null, result.err);
+    assert.isEqual("abc", result.doc._id);
+};
+
+exports["test methods taking functions accept a callback in async mode"] = function() {
+    var modified = {};
+    var followed = {};
+    // Saving changes the stubbed document, so this test has its own.
+    var ownResponses = {
+        "": responses[""],
+        "_all_dbs": ["tests"],
+        "tests/abc": { _id: "abc", _rev: "1-123", id: "abc", rev: "2-456" }
+    };
+    couch.connect("http://localhost:5984", { httpClient: stubClient(ownResponses), async: true }).then(function(server) {
+        return server.database("tests");
+    }).then(function(db) {
+        db.modify("abc", function(doc) {
+            doc.touched = true;
+        }, function(err, doc) {
+            modified.err = err;
+            modified.doc = doc;
+        });
+        db.follow({ feed: "normal" }, function(change) {}, function(err, follower) {
+            followed.err = err;
+            followed.follower = follower;
+        });
+    });
+
+    assert.isEqual(null, modified.err);
+    assert.isTrue(modified.doc.touched, "Should have called the callback with the document");
+    assert.isEqual(null, followed.err);
+    assert.isEqual("normal", followed.follower.options.feed);
+};
+
+exports["test argument errors reject the promise in async mode"] = function() {
+    var error;
+    couch.connect("http://localhost:5984", { httpClient: stubClient(responses), async: true }).then(function(server) {
+        return server.database("tests");
+    }).then(function(db) {
+        return db.save({ _bad: 1 });
+    }).then(null, function(err) {
+        error = err;
+    });
+
+    assert.isTrue(error instanceof Error, "Should have rejected the promise");
+};
+
+exports["test operations return values in sync mode"] = function() {
+    var server = couch.connect("http://localhost:5984", stubClient(responses));
+
+    assert.isEqual("abc", server.database("tests").find("abc")._id);
+};
+
+exports["test all waits for every promise"] = function() {
+    var settled = promise.defer();
+    var later = promise.defer();
+    var result;
+
+    settled.resolve("a");
+    promise.all([settled.promise, later.promise, "c"]).then(function(values) {
+        result = values;
+    });
+    assert.isTrue(result === undefined, "Should wait for the pending promise");
+
+    later.resolve("b");
+    assert.isEqual(["a", "b", "c"], result);
+};
+
+exports["test loop settles after many iterations"] = function() {
+    var count = 0;
+    var done = false;
+
+    // Promises which are already resolved when the loop gets them.
+    promise.loop(function() {
+        var deferred = promise.defer();
+        count += 1;
+        deferred.resolve(count < 20000);
+        return deferred.promise;
+    }).then(function() {
+        done = true;
+    });
+
+    assert.isEqual(20000, count);
+    assert.isTrue(done, "Should have resolved the loop");
+};
+
+exports["test loop settles after many pending iterations"] = function() {
+    var count = 0;
+    var current = null;
+    var error;
+
+    // Promises which are resolved later, one at a time.
+    promise.loop(function() {
+        count += 1;
+        if (count > 20000) {
+            throw new Error("stop");
+        }
+        current = promise.defer();
+        return current.promise;
+    }).then(null, function(err) {
+        error = err;
+    });
+
+    while (current !== null) {
+        var next = current;
+        current = null;
+        next.resolve(true);
+    }
+
+    assert.isEqual("stop", error.message);
+};
@@ -20,4 +20,93 @@ with(require("../test_helper")) {
         assert.isTrue(fromDb._attachments != undefined, "Should have attachments");
         assert.isTrue(fromDb._attachments["tabby.jpg"] != undefined, "Should have 'tabby.jpg'");
     };
-}
\ No newline at end of file
+
+    exports["test inline attachment is saved with the doc"] = function() {
+        var db = recreateDb();
+        var doc = { _id: "note" };
+
+        db.inlineAttachment(doc, "hello.txt", "text/plain", "Hello, couch");
+        assert.isTrue(db.save(doc));
+        assert.isTrue(doc._attachments["hello.txt"].stub);
+
+        var attachments = db.listAttachments("note");
+        assert.equal(1, attachments.length);
+        assert.equal("hello.txt", attachments[0].name);
+        assert.equal("text/plain", attachments[0].content_type);
+        assert.equal(12, attachments[0].length);
+    };
+
+    exports["test attachment info and range read"] = function() {
+        var db = recreateDb();
+        var doc = { _id: "note" };
+
+        db.inlineAttachment(doc, "dir/hello.txt", "text/plain", "Hello, couch");
+        db.save(doc);
+
+        var info = db.attachmentInfo("note", "dir/hello.txt");
+        assert.equal(12, info.length);
+        assert.isTrue(info.digest.indexOf("md5-") === 0);
+        assert.equal(null, db.attachmentInfo("note", "missing.txt"));
+
+        var digest = db.find("note")._attachments["dir/hello.txt"].digest;
+        assert.equal("Hello, couch", String(db.getAttachment("note", "dir/hello.txt", { verify: digest }).data));
+
+        var part = db.getAttachment("note", "dir/hello.txt", { range: [0, 4] });
+        assert.equal(206, part.status);
+        assert.equal("Hello", String(part.data));
+    };
+
+    exports["test copy and delete attachment"] = function() {
+        var db = recreateDb();
+        var from = { _id: "from" };
+        var to = { _id: "to" };
+
+        db.inlineAttachment(from, "hello.txt", "text/plain", "Hello, couch");
+        db.save(from);
+        db.save(to);
+
+        var rev = to._rev;
+        assert.isTrue(db.copyAttachment("from", "hello.txt", to, "copy.txt"));
+        assert.isTrue(to._rev !== rev);
+        assert.equal("Hello, couch", String(db.getAttachment("to", "copy.txt", { verify: true }).data));
+
+        assert.isTrue(db.deleteAttachmentFromDoc(to, "copy.txt"));
+        assert.equal(0, db.listAttachments("to").length);
+    };
+
+    exports["test save with attachments in one request"] = function() {
+        var db = recreateDb();
+        var doc = { _id: "album" };
+
+        assert.isTrue(db.saveWithAttachments(doc, {
+            "a.txt": { content_type: "text/plain", data: "first" },
+            "b.txt": { content_type: "text/plain", data: "second" }
+        }));
+        assert.equal(0, doc._rev.indexOf("1-"));
+
+        var fromDb = db.find("album", { attachments: true });
+        assert.equal("first", String(fromDb._attachments["a.txt"].body));
+        assert.equal("second", String(fromDb._attachments["b.txt"].body));
+        assert.isTrue(db.save(fromDb));
+    };
+
+    exports["test save with attachments replacing an existing one"] = function() {
+        var db = recreateDb();
+        var doc = { _id: "album" };
+
+        db.saveWithAttachments(doc, {
+            "b.txt": { content_type: "text/plain", data: "BBB" },
+            "a.txt": { content_type: "text/plain", data: "AAA" }
+        });
+        assert.isTrue(db.saveWithAttachments(doc, {
+            "new.txt": { content_type: "text/plain", data: "NEW" },
+            "b.txt": { content_type: "text/plain", data: "replaced" }
+        }));
+
+        var fromDb = db.find("album", { attachments: true });
+        assert.equal("AAA", String(fromDb._attachments["a.txt"].body));
+        assert.equal("replaced", String(fromDb._attachments["b.txt"].body));
+        assert.equal("NEW", String(fromDb._attachments["new.txt"].body));
+        assert.equal(8, fromDb._attachments["b.txt"].length);
+    };
+}
@@ -0,0 +1,62 @@
+var db;
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+    };
+
+    exports["test bulkDocs reports each document"] = function() {
+        var existing = { _id: "taken" };
+        db.save(existing);
+
+        var results = db.bulkDocs([{ _id: "new" }, { _id: "taken" }]);
+
+        assert.isTrue(results[0].ok);
+        assert.equal("new", results[0].id);
+        assert.isTrue(!results[1].ok);
+        assert.isTrue(results[1].error instanceof require("couchdb").Conflict);
+    };
+
+    exports["test bulkSave fails when a document is rejected"] = function() {
+        db.save({ _id: "taken" });
+
+        assert.isTrue(!db.bulkSave([{ _id: "new" }, { _id: "taken" }]));
+        assert.isTrue(db.find("new") !== null);
+    };
+
+    exports["test bulkDocs in chunks"] = function() {
+        var docs = [];
+        var progress = [];
+        for (var i = 0; i < 5; i++) {
+            docs.push({ n: i });
+        }
+
+        db.bulkDocs(docs, { chunkSize: 2, progress: function(done, total) {
+            progress.push(done + "/" + total);
+        } });
+
+        assert.equal("2/5,4/5,5/5", progress.join(","));
+        assert.equal(5, db.allDocs().length);
+    };
+
+    exports["test bulkDocs without new edits keeps revisions"] = function() {
+        var results = db.bulkDocs([{ _id: "replica", _rev: "3-917fa2381192822767f010b95b45325b" }], { newEdits: false });
+
+        assert.isTrue(results[0].ok);
+        assert.equal("3-917fa2381192822767f010b95b45325b", db.find("replica")._rev);
+    };
+
+    exports["test bulkRemove and bulkGet"] = function() {
+        var docs = [{ _id: "a" }, { _id: "b" }];
+        db.bulkSave(docs);
+
+        var found = db.bulkGet(["a", "missing"]);
+        assert.equal("a", found[0].doc._id);
+        assert.equal(null, found[1].doc);
+
+        var results = db.bulkRemove(docs);
+        assert.isTrue(results[0].ok && results[1].ok);
+        assert.isTrue(docs[0]._deleted);
+        assert.equal(0, db.allDocs().length);
+    };
+}
@@ -0,0 +1,43 @@
+var Cache = require("couchdb/cache").Cache;
+var db;
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+        db.save({ _id: "abc", n: 1 });
+    };
+
+    exports["test cache drops the least recently used entry"] = function() {
+        var cache = new Cache(2);
+
+        cache.set("a", "\"1\"", 1);
+        cache.set("b", "\"2\"", 2);
+        cache.get("a");
+        cache.set("c", "\"3\"", 3);
+
+        assert.equal(null, cache.get("b"));
+        assert.equal(1, cache.get("a").value);
+        assert.equal(2, cache.size);
+    };
+
+    exports["test find answers from the cache"] = function() {
+        db.useCache(10);
+
+        var first = db.find("abc");
+        first.n = 99;
+
+        assert.equal(1, db.find("abc").n);
+        assert.equal(1, db.cache.size);
+    };
+
+    exports["test save invalidates the cached document"] = function() {
+        db.useCache(10);
+
+        var doc = db.find("abc");
+        doc.n = 2;
+        db.save(doc);
+
+        assert.equal(0, db.cache.size);
+        assert.equal(2, db.find("abc").n);
+    };
+}
@@ -0,0 +1,32 @@
+var db;
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+        db.bulkSave([{ _id: "a", name: "Nathan" }, { _id: "b", name: "Martin" }]);
+    };
+
+    exports["test changes lists every saved document"] = function() {
+        var changes = db.changes();
+        assert.equal(2, changes.results.length);
+        assert.isTrue(changes.last_seq !== undefined, "Should have a last_seq");
+    };
+
+    exports["test changes filtered by doc ids"] = function() {
+        var changes = db.changes({ doc_ids: ["b"] });
+        assert.equal(1, changes.results.length);
+        assert.equal("b", changes.results[0].id);
+    };
+
+    exports["test follower only sees new changes"] = function() {
+        var seen = [];
+        var follower = db.follow({ since: db.changes().last_seq, feed: "normal" }, function(change) {
+            seen.push(change.id);
+        });
+
+        assert.equal(0, follower.poll());
+        db.save({ _id: "c" });
+        assert.equal(1, follower.poll());
+        assert.equal("c", seen[0]);
+    };
+}
@@ -0,0 +1,74 @@
+var db;
+
+// Write two revisions of the same document side by side, the way replication does.
+function createConflict(db, id) {
+    db.httpClient.post(db.uri + "_bulk_docs", {
+        async: false,
+        headers: [{ label: "Content-Type", value: "application/json" }],
+        data: JSON.stringify({
+            new_edits: false,
+            docs: [
+                { _id: id, _rev: "1-aaaaaaaa", count: 1 },
+                { _id: id, _rev: "1-bbbbbbbb", count: 2 }
+            ]
+        })
+    });
+}
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+    };
+
+    exports["test modify retries after a conflict"] = function() {
+        var attempts = 0;
+        db.save({ _id: "counter", count: 0 });
+
+        var saved = db.modify("counter", function(doc) {
+            attempts += 1;
+            if (attempts === 1) {
+                db.save({ _id: "counter", _rev: doc._rev, count: 10 });
+            }
+            doc.count += 1;
+        });
+
+        assert.equal(2, attempts);
+        assert.equal(11, saved.count);
+        assert.equal(11, db.find("counter").count);
+    };
+
+    exports["test modify saves a new document returned by fn"] = function() {
+        db.save({ _id: "counter", count: 1 });
+
+        var saved = db.modify("counter", function(doc) {
+            return { count: doc.count + 1 };
+        });
+
+        assert.equal(2, saved.count);
+        assert.equal(0, saved._rev.indexOf("2-"));
+        assert.equal(2, db.find("counter").count);
+    };
+
+    exports["test conflicts loads the losing revisions"] = function() {
+        createConflict(db, "twins");
+
+        var result = db.conflicts("twins");
+
+        assert.equal(1, result.conflicts.length);
+        assert.isTrue(result.winner._rev !== result.conflicts[0]._rev);
+    };
+
+    exports["test resolveConflicts leaves a single revision"] = function() {
+        createConflict(db, "twins");
+
+        var merged = db.resolveConflicts("twins", function(winner, conflicts) {
+            winner.count = winner.count + conflicts[0].count;
+            return winner;
+        });
+
+        var doc = db.findWithConflicts("twins");
+        assert.equal(3, doc.count);
+        assert.equal(merged._rev, doc._rev);
+        assert.isTrue(doc._conflicts === undefined, "Should have no conflicts left");
+    };
+}
@@ -0,0 +1,50 @@
+var DesignDocument = require("couchdb").DesignDocument;
+var db;
+
+function invoices(emitValue) {
+    return DesignDocument.create("invoices", function() {
+        this.view("by_total", emitValue ?
+            function(doc) { emit(doc.total, 1); } :
+            function(doc) { emit(doc.total, null); });
+    });
+}
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+        db.save({ total: 10 });
+    };
+
+    exports["test deployDesign saves a new design document"] = function() {
+        var result = db.deployDesign(invoices());
+
+        assert.isTrue(result.updated);
+        assert.equal(result.doc._rev, db.find("_design/invoices")._rev);
+    };
+
+    exports["test deployDesign leaves an unchanged design document alone"] = function() {
+        var rev = db.deployDesign(invoices()).doc._rev;
+        var result = db.deployDesign(invoices());
+
+        assert.isTrue(!result.updated);
+        assert.equal(rev, db.find("_design/invoices")._rev);
+    };
+
+    exports["test deployDesign updates a changed design document"] = function() {
+        db.deployDesign(invoices());
+        var result = db.deployDesign(invoices(true));
+
+        assert.isTrue(result.updated);
+        assert.equal(1, db.view("invoices", "by_total").rows[0].value);
+    };
+
+    exports["test staged deploy swaps in the new version"] = function() {
+        db.deployDesign(invoices());
+        var result = db.deployDesign(invoices(true), { staged: true });
+
+        assert.isTrue(result.updated);
+        assert.equal(result.doc._rev, db.find("_design/invoices")._rev);
+        assert.isTrue(db.find("_design/invoices_staging") === null, "Should remove the staging document");
+        assert.equal(1, db.view("invoices", "by_total", { stale: "ok" }).rows[0].value);
+    };
+}
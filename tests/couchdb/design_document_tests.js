@@ -43,4 +43,37 @@ exports["test viewBy two members"] = function(){
 
     assert.isTrue(viewResult != undefined && viewResult != null);
     assert.isEqual(viewResult.rows.length, 0);
-};
\ No newline at end of file
+};
+
+exports["test view serializes functions"] = function(){
+    var dd = DesignDocument.create("mydd", function(){
+        this.view("by_total", function(doc) { emit(doc.total, null); }, "_sum");
+    });
+
+    var view = dd.toDocument().views.by_total;
+    assert.isTrue(/emit\(doc\.total, null\)/.test(view.map), "Should contain the map source");
+    assert.isEqual("_sum", view.reduce);
+};
+
+exports["test toDocument includes every kind of function"] = function(){
+    var dd = DesignDocument.create("app", function(){
+        this.language("javascript");
+        this.show("invoice", function(doc, req) { return doc.title; });
+        this.list("csv", function(head, req) { send("id\n"); });
+        this.update("touch", function(doc, req) { return [doc, "ok"]; });
+        this.filter("invoices", function(doc, req) { return doc.type === "invoice"; });
+        this.validateDocUpdate(function(newDoc, oldDoc, userCtx) {
+            if (!newDoc.type) { throw({ forbidden: "type is required" }); }
+        });
+        this.rewrites([{ from: "/invoices", to: "_list/csv/all" }]);
+    });
+
+    var doc = dd.toDocument();
+    assert.isEqual("javascript", doc.language);
+    assert.isEqual("string", typeof doc.shows.invoice);
+    assert.isEqual("string", typeof doc.lists.csv);
+    assert.isEqual("string", typeof doc.updates.touch);
+    assert.isEqual("string", typeof doc.filters.invoices);
+    assert.isTrue(/forbidden/.test(doc.validate_doc_update));
+    assert.isEqual("/invoices", doc.rewrites[0].from);
+};
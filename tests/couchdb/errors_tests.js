@@ -0,0 +1,58 @@
+var couch = require("couchdb");
+var errors = require("couchdb/errors");
+var db;
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+        db.save({ _id: "abc" });
+    };
+
+    exports["test fromResponse picks the error class by status"] = function() {
+        var err = errors.fromResponse(409, '{"error":"conflict","reason":"Document update conflict."}');
+
+        assert.isTrue(err instanceof errors.Conflict);
+        assert.isTrue(err instanceof errors.CouchError);
+        assert.isTrue(err instanceof Error);
+        assert.equal(409, err.status);
+        assert.equal("conflict", err.error);
+        assert.equal("Document update conflict.", err.reason);
+        assert.isTrue(errors.fromResponse(503, "") instanceof errors.ServerError);
+        assert.isTrue(errors.fromResponse(0, "") instanceof errors.NetworkError);
+    };
+
+    exports["test DatabaseError keeps its message"] = function() {
+        var DatabaseError = require("couchdb/database").DatabaseError;
+        var err = new DatabaseError(409, "Failed to add attachment");
+
+        assert.equal("Failed to add attachment", err.message);
+        assert.equal("Failed to add attachment", err.reason);
+        assert.equal(409, err.status);
+        assert.isTrue(errors.fromResponse(404, "") instanceof DatabaseError);
+    };
+
+    exports["test saving a stale document throws a conflict"] = function() {
+        var err;
+        try {
+            db.save({ _id: "abc" }, true);
+        } catch (e) {
+            err = e;
+        }
+
+        assert.isTrue(err instanceof couch.Conflict, "Should be a Conflict");
+        assert.equal("conflict", err.error);
+    };
+
+    exports["test reading a missing database throws not found"] = function() {
+        var err;
+        deleteDb();
+        try {
+            db.allDocs();
+        } catch (e) {
+            err = e;
+        }
+
+        assert.isTrue(err instanceof couch.NotFound, "Should be a NotFound");
+        assert.equal(404, err.status);
+    };
+}
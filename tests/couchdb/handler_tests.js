@@ -0,0 +1,57 @@
+var DesignDocument = require("couchdb").DesignDocument;
+var db;
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+        db.save({ _id: "invoice1", title: "Tabby Cat", total: 10 });
+        db.save(DesignDocument.create("app", function() {
+            this.view("all", function(doc) { emit(doc._id, doc.total); });
+            this.show("title", function(doc, req) {
+                return { body: "<h1>" + doc.title + "</h1>", headers: { "Content-Type": "text/html" } };
+            });
+            this.update("pay", function(doc, req) {
+                doc.paid = req.query.by || true;
+                return [doc, "paid"];
+            });
+            this.list("csv", function(head, req) {
+                var row;
+                start({ headers: { "Content-Type": "text/csv" } });
+                while ((row = getRow())) {
+                    send(row.id + "," + row.value + "\n");
+                }
+            });
+            this.list("ids", function(head, req) {
+                var row, ids = [];
+                start({ headers: { "Content-Type": "application/json" } });
+                while ((row = getRow())) {
+                    ids.push(row.id);
+                }
+                send(toJSON(ids));
+            });
+        }).toDocument());
+    };
+
+    exports["test show returns the raw body"] = function() {
+        var response = db.show("app", "title", "invoice1");
+
+        assert.equal(200, response.status);
+        assert.equal("<h1>Tabby Cat</h1>", response.body);
+        assert.isTrue(/^text\/html/.test(response.contentType));
+    };
+
+    exports["test update returns the new revision"] = function() {
+        var response = db.update("app", "pay", "invoice1", null, { by: "nathan" });
+        var doc = db.find("invoice1");
+
+        assert.equal("paid", response.body);
+        assert.equal(doc._rev, response.newRev);
+        assert.equal("nathan", doc.paid);
+    };
+
+    exports["test list output is raw unless it is json"] = function() {
+        assert.equal("invoice1,10\n", db.list("app", "csv", "all"));
+        assert.equal("invoice1", db.list("app", "ids", "all")[0]);
+        assert.isTrue(/^text\/csv/.test(db.list("app", "csv", "all", { raw: true }).contentType));
+    };
+}
@@ -0,0 +1,34 @@
+var db;
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+    };
+
+    exports["test put, get and remove a local document"] = function() {
+        var checkpoint = db.local.put("checkpoint", { seq: 5 });
+
+        assert.equal("_local/checkpoint", checkpoint._id);
+        assert.equal(5, db.local.get("checkpoint").seq);
+
+        checkpoint.seq = 6;
+        db.local.put("checkpoint", checkpoint);
+        assert.equal(6, db.local.get("_local/checkpoint").seq);
+
+        assert.isTrue(db.local.remove("checkpoint"));
+        assert.equal(null, db.local.get("checkpoint"));
+    };
+
+    exports["test local documents stay out of _all_docs"] = function() {
+        db.local.put("cursor", { seq: 1 });
+        db.save({ _id: "regular" });
+
+        assert.equal(1, db.allDocs().length);
+        assert.equal("_local/cursor", db.local.list()[0].id);
+    };
+
+    exports["test save and find keep the slash of local ids"] = function() {
+        assert.isTrue(db.save({ _id: "_local/state", on: true }));
+        assert.isTrue(db.find("_local/state").on);
+    };
+}
@@ -0,0 +1,38 @@
+var DesignDocument = require("couchdb").DesignDocument;
+var db;
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+        db.save({ _id: "abc" });
+    };
+
+    exports["test info reports the documents"] = function() {
+        var info = db.info();
+
+        assert.equal(1, info.doc_count);
+        assert.isTrue(info.update_seq !== undefined);
+    };
+
+    exports["test revs limit"] = function() {
+        assert.isTrue(db.setRevsLimit(10));
+        assert.equal(10, db.getRevsLimit());
+    };
+
+    exports["test compact and wait for it"] = function() {
+        assert.isTrue(db.compact());
+        assert.isTrue(db.waitForCompaction({ interval: 100, timeout: 30000 }));
+        assert.isTrue(db.viewCleanup());
+    };
+
+    exports["test compact design document"] = function() {
+        db.deployDesign(DesignDocument.create("maintenance", function() {
+            this.view("all", function(doc) { emit(doc._id, null); });
+        }));
+        db.view("maintenance", "all");
+
+        assert.isTrue(db.compactDesign("maintenance"));
+        assert.isTrue(db.waitForCompaction({ designDoc: "maintenance", interval: 100, timeout: 30000 }));
+        assert.isTrue(db.designInfo("maintenance") !== undefined);
+    };
+}
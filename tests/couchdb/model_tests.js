@@ -0,0 +1,69 @@
+var couch = require("couchdb");
+var db, Invoice;
+
+var InvoiceModel = couch.model("Invoice", {
+    defaults: { paid: false, lines: function() { return []; } },
+    methods: {
+        total: function() {
+            return this.lines.reduce(function(sum, line) { return sum + line; }, 0);
+        }
+    },
+    views: { by_customer: "customer" }
+});
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+        Invoice = db.model(InvoiceModel);
+    };
+
+    exports["test create applies defaults and methods"] = function() {
+        var invoice = Invoice.create({ customer: "acme", lines: [10, 5] });
+
+        assert.isTrue(invoice._id !== undefined && invoice._rev !== undefined);
+        assert.equal("Invoice", invoice.type);
+        assert.equal(false, invoice.paid);
+        assert.equal(15, invoice.total());
+    };
+
+    exports["test save keeps the revision in sync"] = function() {
+        var invoice = Invoice.create({ customer: "acme" });
+        var rev = invoice._rev;
+
+        invoice.paid = true;
+        invoice.save();
+
+        assert.isTrue(invoice._rev !== rev);
+        assert.isTrue(Invoice.get(invoice._id).paid);
+    };
+
+    exports["test queries only see documents of the model"] = function() {
+        Invoice.create({ customer: "acme" });
+        Invoice.create({ customer: "initech" });
+        db.save({ _id: "note", customer: "acme" });
+
+        assert.equal(2, Invoice.all().length);
+        assert.equal(1, Invoice.view("by_customer", { key: "acme" }).length);
+        assert.equal(null, Invoice.get("note"));
+    };
+
+    exports["test remove"] = function() {
+        var invoice = Invoice.create({ customer: "acme" });
+
+        assert.isTrue(invoice.remove());
+        assert.equal(0, invoice._rev.indexOf("2-"));
+        assert.isTrue(invoice._deleted);
+        assert.equal(null, Invoice.get(invoice._id));
+    };
+
+    exports["test model schema is checked on save"] = function() {
+        var Customer = db.model("Customer", {
+            schema: { type: "object", required: ["name"], properties: { name: { type: "string" } } }
+        });
+
+        assert.throwsError(function() {
+            Customer.create({});
+        });
+        assert.equal("acme", Customer.create({ name: "acme" }).name);
+    };
+}
@@ -0,0 +1,37 @@
+var multipart = require("couchdb/multipart");
+
+with(require("../test_helper")) {
+    exports["test build and parse a document with attachments"] = function() {
+        var json = JSON.stringify({ _id: "doc", _attachments: { "a.bin": { follows: true } } });
+        var message = multipart.build(json, [
+            { content_type: "application/octet-stream", data: "\x00\xff\r\nbinary" }
+        ], "abc");
+
+        assert.equal("abc", multipart.boundaryOf(message.contentType));
+
+        var parts = multipart.parse(message.body, "abc");
+        assert.equal(2, parts.length);
+        assert.equal("application/json", parts[0].headers["content-type"]);
+        assert.equal(json, parts[0].body);
+        assert.equal("\x00\xff\r\nbinary", parts[1].body);
+    };
+
+    exports["test parse a document with its attachment data"] = function() {
+        var body = [
+            "--B",
+            "Content-Type: application/json",
+            "",
+            JSON.stringify({ _id: "doc", _attachments: { "a.txt": { content_type: "text/plain", follows: true } } }),
+            "--B",
+            "Content-Disposition: attachment; filename=\"a.txt\"",
+            "",
+            "hello",
+            "--B--"
+        ].join("\r\n");
+
+        var doc = multipart.parseDocument(body, "B");
+        assert.equal("hello", doc._attachments["a.txt"].body);
+        assert.isTrue(doc._attachments["a.txt"].stub);
+        assert.equal(null, multipart.boundaryOf("application/json"));
+    };
+}
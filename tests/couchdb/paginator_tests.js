@@ -0,0 +1,64 @@
+var DesignDocument = require("couchdb").DesignDocument;
+var db;
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        var docs = [];
+        for (var i = 0; i < 10; ++i) {
+            docs.push({ _id: "doc" + i, group: i % 2 === 0 ? "even" : "odd" });
+        }
+
+        db = recreateDb();
+        db.bulkSave(docs);
+        db.save(DesignDocument.create("groups", function() {
+            this.viewBy("group");
+            this.view("count_by_id", "function(doc) { emit(doc._id, 1); }", "_count");
+        }).toDocument());
+    };
+
+    exports["test next returns fixed size batches"] = function() {
+        var pages = db.paginateAllDocs(4);
+
+        assert.equal(4, pages.next().length);
+        assert.equal(4, pages.next().length);
+        assert.isTrue(pages.hasNext());
+        assert.equal(3, pages.next().length, "Should include the design document");
+        assert.isTrue(!pages.hasNext());
+        assert.equal(0, pages.next().length);
+    };
+
+    exports["test forEach visits every row of a view once"] = function() {
+        var ids = [];
+
+        // Every row has one of two keys, so batches have to continue by doc id.
+        db.paginateView("groups", "by_group", 3).forEach(function(row) {
+            ids.push(row.id);
+        });
+
+        assert.equal(10, ids.length);
+        assert.equal("doc0", ids[0]);
+        assert.equal("doc9", ids[9]);
+    };
+
+    exports["test pages of a grouped view continue by key"] = function() {
+        var keys = [];
+
+        db.viewQuery("groups", "count_by_id").group().paginate(4).forEach(function(row) {
+            keys.push(row.key);
+        });
+
+        assert.equal(10, keys.length);
+        assert.equal("doc0", keys[0]);
+        assert.equal("doc9", keys[9]);
+    };
+
+    exports["test paginated queries can not use skip"] = function() {
+        var raised = false;
+        try {
+            db.allDocsQuery().skip(10).paginate(5);
+        } catch (e) {
+            raised = true;
+        }
+        assert.isTrue(raised);
+    };
+}
@@ -0,0 +1,34 @@
+var db;
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+    };
+
+    exports["test purge a revision"] = function() {
+        var doc = { _id: "secret" };
+        db.save(doc);
+
+        var result = db.purge({ secret: [doc._rev] });
+
+        assert.equal(doc._rev, result.purged.secret[0]);
+        assert.equal(null, db.find("secret"));
+    };
+
+    exports["test purge every leaf of a deleted document"] = function() {
+        var doc = { _id: "secret" };
+        db.save(doc);
+        db.removeDoc(doc);
+
+        var result = db.purgeDoc("secret");
+
+        assert.equal(1, result.purged.secret.length);
+        assert.equal(undefined, db.purgeDoc("secret").purged.secret);
+        assert.equal(0, db.changes().results.length);
+    };
+
+    exports["test purged infos limit"] = function() {
+        assert.isTrue(db.setPurgedInfosLimit(100));
+        assert.equal(100, db.getPurgedInfosLimit());
+    };
+}
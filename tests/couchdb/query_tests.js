@@ -0,0 +1,47 @@
+var db;
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+        db.bulkSave([
+            { type: "invoice", total: 50 },
+            { type: "invoice", total: 150 },
+            { type: "invoice", total: 250 },
+            { type: "customer", name: "Nathan" }
+        ]);
+    };
+
+    exports["test query finds documents matching a selector"] = function() {
+        var result = db.query({ type: "invoice", total: { $gt: 100 } }, { fields: ["total"] });
+
+        assert.equal(2, result.docs.length);
+        assert.isTrue(result.docs[0].type === undefined, "Should only return selected fields");
+    };
+
+    exports["test query pages with bookmarks"] = function() {
+        var page = db.query({ type: "invoice" }, { limit: 2 });
+        var totals = [];
+
+        while (page !== null) {
+            page.docs.forEach(function(doc) {
+                totals.push(doc.total);
+            });
+            page = page.next();
+        }
+
+        assert.equal(3, totals.length);
+    };
+
+    exports["test create, list and delete an index"] = function() {
+        var created = db.createIndex(["type", "total"], { name: "by-type-total", ddoc: "indexes" });
+
+        assert.equal("created", created.result);
+        assert.equal("by-type-total", db.explain({ type: "invoice", total: { $gt: 0 } }).index.name);
+        assert.isTrue(db.listIndexes().some(function(index) {
+            return index.name === "by-type-total";
+        }), "Should list the index");
+
+        assert.isTrue(db.deleteIndex("_design/indexes", "by-type-total"));
+        assert.equal(1, db.listIndexes().length, "Only the _all_docs index should be left");
+    };
+}
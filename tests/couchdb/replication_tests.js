@@ -0,0 +1,38 @@
+var couch = require("couchdb");
+var config = require("../test-config");
+var targetName = "serverjs_replication_target";
+var server;
+var source;
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        source = recreateDb();
+        source.bulkSave([{ _id: "a" }, { _id: "b" }]);
+
+        server = couch.connect(config.uri);
+        if (server.hasDb(targetName)) {
+            server.deleteDb(targetName);
+        }
+    };
+
+    exports["test one-shot replication into a new database"] = function() {
+        var result = server.replicate(source, targetName, { create_target: true });
+
+        assert.isTrue(result.ok, "Replication should succeed");
+        assert.equal(2, server.database(targetName).allDocs().length);
+    };
+
+    exports["test replication of selected documents"] = function() {
+        server.replicate(source, targetName, { create_target: true, doc_ids: ["b"] });
+
+        assert.equal(1, server.database(targetName).allDocs().length);
+    };
+
+    exports["test state of an unknown replication"] = function() {
+        assert.equal(null, server.replicationState("serverjs_no_such_replication"));
+    };
+
+    exports.teardown = function() {
+        server.deleteDb(targetName);
+    };
+}
@@ -0,0 +1,49 @@
+var db;
+var doc;
+var firstRev;
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+        doc = { _id: "invoice", total: 10, status: "draft" };
+        db.save(doc);
+        firstRev = doc._rev;
+
+        doc.total = 12;
+        delete doc.status;
+        doc.paid = true;
+        db.save(doc);
+    };
+
+    exports["test revisions lists the history newest first"] = function() {
+        var revs = db.revisions("invoice");
+
+        assert.equal(2, revs.length);
+        assert.equal(doc._rev, revs[0].rev);
+        assert.equal(firstRev, revs[1].rev);
+    };
+
+    exports["test findRevision returns an older body"] = function() {
+        assert.equal(10, db.findRevision("invoice", firstRev).total);
+    };
+
+    exports["test diffRevisions reports added, removed and changed fields"] = function() {
+        var diff = db.diffRevisions("invoice", firstRev, doc._rev);
+
+        assert.equal(true, diff.added.paid);
+        assert.equal("draft", diff.removed.status);
+        assert.equal(10, diff.changed.total.from);
+        assert.equal(12, diff.changed.total.to);
+    };
+
+    exports["test revert restores an older body as a new revision"] = function() {
+        var reverted = db.revert("invoice", firstRev);
+        var current = db.find("invoice");
+
+        assert.equal(reverted._rev, current._rev);
+        assert.equal(10, current.total);
+        assert.equal("draft", current.status);
+        assert.isTrue(current.paid === undefined, "Should not have 'paid'");
+        assert.equal(3, db.revisions("invoice").length);
+    };
+}
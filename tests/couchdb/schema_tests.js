@@ -0,0 +1,65 @@
+var couch = require("couchdb");
+var schema = require("couchdb/schema");
+var db;
+
+var INVOICE = {
+    type: "object",
+    required: ["customer", "lines"],
+    properties: {
+        customer: { type: "string", minLength: 1 },
+        lines: {
+            type: "array",
+            items: { type: "object", required: ["amount"], properties: { amount: { type: "number" } } }
+        }
+    }
+};
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+    };
+
+    exports["test validate reports readable paths"] = function() {
+        var errors = schema.validate(INVOICE, { customer: "acme", lines: [{ amount: 1 }, { amount: "2" }, {}] });
+
+        assert.equal(2, errors.length);
+        assert.equal("lines[1].amount", errors[0].path);
+        assert.equal("lines[2].amount", errors[1].path);
+        assert.equal("lines[1].amount must be number, not string; lines[2].amount is required", schema.describe(errors));
+    };
+
+    exports["test save checks the registered schema"] = function() {
+        db.registerSchema("invoice", INVOICE);
+
+        assert.throwsError(function() {
+            db.save({ type: "invoice", customer: "acme" });
+        });
+        assert.isTrue(db.save({ type: "invoice", customer: "acme", lines: [] }));
+        assert.isTrue(db.save({ type: "note" }));
+    };
+
+    exports["test bulkDocs does not send invalid documents"] = function() {
+        db.registerSchema("invoice", INVOICE);
+
+        var progress = [];
+        var results = db.bulkDocs([{ type: "invoice", customer: "acme", lines: [] }, { type: "invoice" }], {
+            progress: function(done, total) {
+                progress.push(done + "/" + total);
+            }
+        });
+
+        assert.equal("2/2", progress.join(","), "Should count the invalid document as done");
+        assert.isTrue(results[0].ok);
+        assert.isTrue(results[1].error instanceof couch.BadRequest);
+        assert.equal(1, db.allDocs().length);
+    };
+
+    exports["test couch enforces the compiled schema"] = function() {
+        db.deployDesign(couch.DesignDocument.create("schemas", function() {
+            this.validateSchemas({ invoice: INVOICE });
+        }));
+
+        assert.isTrue(!db.save({ type: "invoice", customer: "acme" }));
+        assert.isTrue(db.save({ type: "invoice", customer: "acme", lines: [{ amount: 5 }] }));
+    };
+}
@@ -0,0 +1,39 @@
+var couch = require("couchdb");
+var config = require("../test-config");
+var db;
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+    };
+
+    exports["test set and get security"] = function() {
+        assert.isTrue(db.setSecurity({ members: { roles: ["readers"] } }));
+
+        var security = db.getSecurity();
+        assert.equal("readers", security.members.roles[0]);
+        assert.equal(0, security.admins.names.length);
+    };
+
+    exports["test add and remove members and admins"] = function() {
+        db.addAdmin("boss");
+        db.addMember({ role: "staff" });
+        var security = db.addMember("intern");
+
+        assert.equal("boss", security.admins.names[0]);
+        assert.equal("staff", security.members.roles[0]);
+        assert.equal("intern", security.members.names[0]);
+
+        db.removeMember("intern");
+        assert.equal(0, db.getSecurity().members.names.length);
+    };
+
+    exports["test create database with security"] = function() {
+        var server = couch.connect(config.uri);
+
+        server.deleteDb("narwhal_security_test");
+        assert.isTrue(server.createDb("narwhal_security_test", { security: { members: { roles: ["tenant"] } } }));
+        assert.equal("tenant", server.database("narwhal_security_test").getSecurity().members.roles[0]);
+        server.deleteDb("narwhal_security_test");
+    };
+}
@@ -0,0 +1,37 @@
+var couch = require("couchdb");
+var config = require("../test-config");
+var server;
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        server = couch.connect(config.uri);
+        server.users.remove("narwhal_test_user");
+    };
+
+    exports["test create, update and delete a user"] = function() {
+        var user = server.users.create("narwhal_test_user", "secret", ["reader"]);
+
+        assert.equal("org.couchdb.user:narwhal_test_user", user._id);
+        assert.equal(undefined, user.password);
+
+        assert.isTrue(server.users.setRoles("narwhal_test_user", ["reader", "writer"]));
+        assert.equal(2, server.users.get("narwhal_test_user").roles.length);
+        assert.isTrue(server.users.changePassword("narwhal_test_user", "other secret"));
+        assert.isTrue(server.users.list().some(function(doc) {
+            return doc.name === "narwhal_test_user";
+        }));
+
+        assert.isTrue(server.users["delete"]("narwhal_test_user"));
+        assert.equal(null, server.users.get("narwhal_test_user"));
+    };
+
+    exports["test session of a user"] = function() {
+        server.users.create("narwhal_test_user", "secret", ["reader"]);
+
+        var user = couch.connect(config.uri, { username: "narwhal_test_user", password: "secret" });
+        var session = user.session();
+
+        assert.equal("narwhal_test_user", session.name);
+        assert.equal("reader", session.roles[0]);
+    };
+}
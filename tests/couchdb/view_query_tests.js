@@ -0,0 +1,82 @@
+var DesignDocument = require("couchdb").DesignDocument;
+var db;
+
+function throwsError(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return true;
+    }
+    return false;
+}
+
+with(require("../test_helper")) {
+    exports.setup = function() {
+        db = recreateDb();
+        db.save(DesignDocument.create("sales", function() {
+            this.viewBy({
+                name: "by_region",
+                map: "function(doc) { if (doc.region) { emit([doc.region, doc.year], doc.total); } }",
+                reduce: "_sum"
+            });
+        }).toDocument());
+        db.bulkSave([
+            { region: "north", year: 2008, total: 1 },
+            { region: "north", year: 2009, total: 2 },
+            { region: "south", year: 2009, total: 4 }
+        ]);
+    };
+
+    exports["test toOptions keeps the couch option names"] = function() {
+        var options = db.viewQuery("sales", "by_region")
+            .range(["north"], ["north", {}])
+            .descending(false)
+            .limit(10)
+            .toOptions();
+
+        assert.equal("north", options.startkey[0]);
+        assert.equal(false, options.descending);
+        assert.equal(10, options.limit);
+    };
+
+    exports["test invalid options are rejected"] = function() {
+        assert.isTrue(throwsError(function() {
+            db.viewQuery("sales", "by_region").limit(-1);
+        }), "limit must not be negative");
+        assert.isTrue(throwsError(function() {
+            db.viewQuery("sales", "by_region").reduce(false).groupLevel(1);
+        }), "grouping requires reduce");
+        assert.isTrue(throwsError(function() {
+            db.viewQuery("sales", "by_region").keys([1]).key(1);
+        }), "key and keys do not mix");
+        assert.isTrue(throwsError(function() {
+            db.viewQuery("sales", "by_region").stale("ok").update(true);
+        }), "stale and update do not mix");
+    };
+
+    exports["test run groups by level"] = function() {
+        var result = db.viewQuery("sales", "by_region").groupLevel(1).run();
+
+        assert.equal(2, result.rows.length);
+        assert.equal(3, result.rows[0].value);
+    };
+
+    exports["test run without reduce includes documents"] = function() {
+        var result = db.viewQuery("sales", "by_region")
+            .reduce(false)
+            .includeDocs()
+            .startKey(["south"])
+            .endKey(["south", {}])
+            .run();
+
+        assert.equal(1, result.rows.length);
+        assert.equal(4, result.rows[0].doc.total);
+    };
+
+    exports["test allDocsQuery"] = function() {
+        var result = db.allDocsQuery().keys(["_design/sales"]).run();
+
+        assert.equal(1, result.rows.length);
+        assert.equal(4, result.totalRows);
+    };
+}